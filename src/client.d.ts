@@ -1,5 +1,4 @@
 import type { Result, Awaitable } from 'fallible'
-import type { Failure, Runtype, Static } from 'runtypes'
 
 import type {
     Schema as Sch,
@@ -15,96 +14,394 @@ import type {
     Response,
     BodyMethod,
     JSONResponse,
-    BinaryResponse
+    BinaryResponse,
+    HasPathParams,
+    PathParams,
+    RetryPolicy,
+    MessageData,
+    NegotiatedResponse,
+    Representation,
+    SSEResponse,
+    ServerSentEvent,
+    HasSSEResponse,
+    HasResponseHeaders,
+    RPCCall,
+    RPCCommunication,
+    RPCInput,
+    RPCOutput,
+    RPCErrorData,
+    RPCNotificationName,
+    RPCNotificationData
 } from './schema.js'
-import type { WebSocketMessageError as _WebSocketMessageError } from './shared.js'
+import type {
+    WebSocketMessageError as _WebSocketMessageError,
+    Problem,
+    RPCError,
+    rpcCommunication
+} from './shared.js'
+import type { Infer, ValidationFailure, Validator } from './validator.js'
+
+
+export type PathParamsArgument<Path extends string, Endpoint extends EP> =
+    HasPathParams<Path> extends true
+        ? { params: PathParams<Path, Endpoint> }
+        : { params?: undefined }
+
+export type URLArguments<Path extends string, Endpoint extends EP> =
+    & PathParamsArgument<Path, Endpoint>
+    & (
+        Endpoint['method'] extends BodyMethod
+            ? { input?: undefined }
+            : Endpoint['input'] extends Validator
+                ? { input: Infer<Endpoint['input']> }
+                : { input?: undefined }
+    )
 
+type OptionalIfEmpty<T> = {} extends T
+    ? [ args?: T ]
+    : [ args: T ]
+
+
+type URLInput<Endpoint extends EP> = Endpoint['method'] extends BodyMethod
+    ? undefined
+    : Endpoint['input'] extends Validator
+        ? Infer<Endpoint['input']>
+        : undefined
+
+// positional, as it was before endpoints had path params
+export type BuildURLArguments<Path extends string, Endpoint extends EP> =
+    HasPathParams<Path> extends true
+        ? [ input: URLInput<Endpoint>, params: PathParams<Path, Endpoint> ]
+        : (URLInput<Endpoint> extends undefined
+            ? [ input?: undefined ]
+            : [ input: URLInput<Endpoint> ])
 
 export declare function buildURL<
     Schema extends Sch,
-    Endpoint extends keyof Schema['endpoints'],
+    Endpoint extends keyof Schema['endpoints'] & string,
 >(
     schema: Schema,
     endpoint: Endpoint,
-    ...args: Schema['endpoints'][Endpoint]['method'] extends BodyMethod
-        ? []
-        : Schema['endpoints'][Endpoint]['input'] extends Runtype
-            ? [ Static<Schema['endpoints'][Endpoint]['input']> ]
-            : []
+    ...args: BuildURLArguments<Endpoint, Schema['endpoints'][Endpoint]>
 ): string
 
 
+export type BinaryStream<Res extends BinaryResponse> = {
+    /**
+     * Errors with a NetworkError or AbortedError if the response fails
+     * part way through.
+     */
+    stream: ReadableStream<Uint8Array>
+    mimetype: Infer<Res['mimetype']>
+    length: number | undefined
+}
+
 type ResponseData<Res extends Response> = Res extends JSONResponse
-    ? Static<Res['data']>
+    ? Infer<Res['data']>
     : Res extends BinaryResponse
-        ? Blob
+        ? (Res['stream'] extends true ? BinaryStream<Res> : Blob)
         : string
 
 
-export type ResponseResult<Status extends number, Res extends Response> = {
-    status: Status
-    data: ResponseData<Res>
-}
-
-export type FetchOutput<Res extends Responses> = {
-    [S in keyof Res]: ResponseResult<
-        S extends number ? S : never,
-        Res[S] extends Response ? Res[S] : never
-    >
+// negotiated responses declare headers once for every representation
+export type ResponseResult<
+    Status extends number,
+    Res extends Response,
+    Definition extends Response = Res
+> =
+    & {
+        status: Status
+        data: ResponseData<Res>
+    }
+    & (Definition['headers'] extends Validator
+        ? { headers: Infer<Definition['headers']> }
+        : {})
+
+export type Represented<Res extends Response, Accept extends Representation> =
+    Res extends NegotiatedResponse
+        ? Extract<Res[Accept], Response>
+        : Res
+
+// a never representation also extends SSEResponse, and event streams are
+// subscribed to rather than fetched
+export type FetchOutput<Res extends Responses, Accept extends Representation = 'json'> = {
+    [S in keyof Res]: Res[S] extends Response
+        ? ([ Represented<Res[S], Accept> ] extends [ SSEResponse ]
+            ? never
+            : ResponseResult<
+                S extends number ? S : never,
+                Represented<Res[S], Accept>,
+                Res[S]
+            >)
+        : never
 }[keyof Res]
 
 export type AbortedError = {
     tag: 'Aborted'
 }
+export type TimeoutError = {
+    tag: 'Timeout'
+}
 export type NetworkError = {
     tag: 'NetworkError'
     exception?: unknown
 }
 export type UnexpectedStatusError = {
     tag: 'UnexpectedStatus'
-    response: Response
+    response: globalThis.Response
 }
 export type UnexpectedContentTypeError = {
     tag: 'UnexpectedContentType'
-    response: Response
+    response: globalThis.Response
 }
 export type OutputDecodeError = {
     tag: 'OutputDecodeError'
-    response: Response
+    response: globalThis.Response
     exception: unknown
 }
+/** Any response sent as `application/problem+json`, whatever its status. */
+export type ProblemError = {
+    tag: 'Problem'
+    problem: Problem
+    response: globalThis.Response
+}
+/** Headers are only those declared. */
+export type HeadersValidationError = {
+    tag: 'HeadersValidationError'
+    headers: Record<string, string>
+    response: globalThis.Response
+    result: ValidationFailure
+}
+/** The last response whose interceptors asked for another replay. */
+export type TooManyReplaysError = {
+    tag: 'TooManyReplays'
+    replays: number
+    response: globalThis.Response
+}
 export type OutputValidationError = {
     tag: 'OutputValidationError'
     output: unknown
-    response: Response
-    result: Failure
+    response: globalThis.Response
+    result: ValidationFailure
+}
+export type Transport = {
+    fetch?: typeof fetch
+    WebSocket?: new (url: string, protocols?: string | string[]) => WebSocket
+}
+
+export type Progress = {
+    received: number
+    total: number | undefined
+}
+
+export type ProgressListener = (progress: Progress) => void
+
+export type FetchEvent = {
+    endpoint: string
+    method: string
+    /** Milliseconds, including retries and replays. */
+    duration: number
+    /** Of the last response received, if any. */
+    status: number | undefined
+    /** The tag of the error the fetch failed with, if any. */
+    error: string | undefined
+    replays: number
+    traceparent: string | undefined
 }
-export type FetchError<Res extends Responses, Abortable extends boolean> =
+
+export type ClientInstrumentation = {
+    /** Called once each fetch has its result. */
+    onFetch?: (event: FetchEvent) => void
+    /**
+     * Sends a traceparent header in a new trace, or where a function is
+     * given, in the trace of the traceparent it returns. Off by default, as
+     * the header would have cross-origin requests preflighted.
+     */
+    traceparent?: boolean | (() => string | undefined)
+}
+
+export type FetchError<
+    Res extends Responses,
+    Abortable extends boolean,
+    Intercepted = never
+> =
     | NetworkError
+    | TimeoutError
     | UnexpectedStatusError
     | UnexpectedContentTypeError
     | OutputDecodeError
+    | ProblemError
+    | TooManyReplaysError
     | (HasJSONResponse<Res> extends true ? OutputValidationError : never)
+    | (true extends HasResponseHeaders<Res> ? HeadersValidationError : never)
     | (Abortable extends true ? AbortedError : never)
-
-export type FetchResult<Res extends Responses, Abortable extends boolean> = Result<
-    FetchOutput<Res>,
-    FetchError<Res, Abortable>
+    | Intercepted
+
+export type FetchResult<
+    Res extends Responses,
+    Abortable extends boolean,
+    Accept extends Representation = 'json',
+    Intercepted = never
+> = Result<
+    FetchOutput<Res, Accept>,
+    FetchError<Res, Abortable, Intercepted>
 >
 
+export type InterceptedRequest = {
+    url: string
+    init: RequestInit & { headers: Record<string, string> }
+}
+
+export type InterceptorContext = {
+    schema: Sch
+    endpoint: string
+    /** Times the request has been replayed by a response interceptor. */
+    replays: number
+}
+
+export type InterceptorAction = {
+    /**
+     * Discards the response and sends the request again, starting over
+     * from the first request interceptor.
+     */
+    replay?: boolean
+}
+
+/**
+ * Interceptors run in order, those on the schema before those on the
+ * client. Only request interceptors apply to subscriptions.
+ */
+export type Interceptor<Intercepted extends { tag: string } = never> = {
+    /** Returns a replacement request, or modifies it in place and returns nothing. */
+    request?: (
+        request: InterceptedRequest,
+        context: InterceptorContext
+    ) => Awaitable<InterceptedRequest | void>
+    /**
+     * Sees each response before it is parsed and validated, so should only
+     * read the body of a clone.
+     */
+    response?: (
+        response: globalThis.Response,
+        context: InterceptorContext
+    ) => Awaitable<InterceptorAction | void>
+    /**
+     * Returns an error to replace the original, after which later
+     * interceptors' error hooks are skipped.
+     */
+    error?: (
+        error: FetchError<Responses, true>,
+        context: InterceptorContext
+    ) => Awaitable<Intercepted | void>
+}
+
+export type InterceptedErrors<T> = T extends ReadonlyArray<infer I>
+    ? (I extends Interceptor<infer Intercepted> ? Intercepted : never)
+    : never
+
+export type ResponseCacheEntry = {
+    etag: string | undefined
+    lastModified: string | undefined
+    /** The validated output of the response, returned again on a 304. */
+    output: unknown
+}
+
+/** Keyed by the requested representation and URL. */
+export type ResponseCache = {
+    get(key: string): ResponseCacheEntry | undefined
+    set(key: string, entry: ResponseCacheEntry): void
+    delete(key: string): void
+    clear(): void
+}
+
+export type ResponseCacheOptions = {
+    /** Defaults to 100. */
+    maximumEntries?: number
+}
+
+
+export declare function createResponseCache(options?: ResponseCacheOptions): ResponseCache
+
+
+export type BatchTransportOptions = {
+    /** Must match the baseURL given to the client for its calls to be batched. */
+    baseURL?: string
+    /** Sends the batches, and any requests that cannot be batched. */
+    transport?: Transport
+    /** Calls beyond this are split into further batches. Defaults to 20. */
+    maximumCalls?: number
+}
+
+
+/**
+ * Sends GET endpoint calls made in the same tick together, to a server
+ * with batching enabled, grouped by credentials mode. Servers without it
+ * are fallen back from by sending each call on its own.
+ */
+export declare function createBatchTransport(
+    schema: Sch,
+    options?: BatchTransportOptions
+): Transport
+
+
+// a function is called before each request, so a refreshed token is picked up
+export type TokenSource =
+    | string
+    | (() => Awaitable<string | undefined>)
+
 type FilesArgument<T extends BodyEndpoint['files']> = T extends FilesDefinition
     ? { files: FilesData<T> }
     : { files?: undefined }
 
-export type FetchArguments<Endpoint extends EP, Abortable extends boolean> =
+type HeadersArgument<T extends EP['headers']> = T extends Validator
+    ? ({} extends Infer<T>
+        ? { headers?: Infer<T> & Record<string, string> }
+        : { headers: Infer<T> & Record<string, string> })
+    : { headers?: Record<string, string> }
+
+export type FetchArguments<
+    Endpoint extends EP,
+    Abortable extends boolean,
+    Path extends string = string,
+    Accept extends Representation = 'json'
+> =
+    & PathParamsArgument<Path, Endpoint>
+    // the endpoint's declared headers and any others, sent alongside and
+    // overridden by those its auth requires
+    & HeadersArgument<Endpoint['headers']>
+    & {
+        /** The representation requested for negotiated responses. Defaults to json. */
+        accept?: Accept
+        /** Prepended to the schema prefix, for requests to another origin. */
+        baseURL?: string
+        /** Sent for endpoints using the bearer or apiKey auth strategies. */
+        token?: TokenSource
+        transport?: Transport
+        /** Overrides the schema's timeout. */
+        timeout?: number
+        /** Merged over the schema's retry policy, or false to disable retries. */
+        retry?: RetryPolicy | false
+        /** Called as each chunk of a binary response is received. */
+        onProgress?: ProgressListener
+        /** Run after the schema's interceptors. */
+        interceptors?: ReadonlyArray<Interceptor<{ tag: string }>>
+        /** Replays allowed before failing with TooManyReplays. Defaults to 3. */
+        maxReplays?: number
+        /**
+         * Revalidates GET responses that came with an ETag or Last-Modified
+         * header, returning the cached output when the server answers 304.
+         */
+        cache?: ResponseCache
+        instrumentation?: ClientInstrumentation
+    }
     & (
         Abortable extends true
             ? { signal: AbortSignal }
             : { signal?: undefined }
     )
     & (
-        Endpoint['input'] extends Runtype
-            ? { input: Static<Endpoint['input']> }
+        Endpoint['input'] extends Validator
+            ? { input: Infer<Endpoint['input']> }
             : { input?: undefined }
     )
     & (
@@ -116,13 +413,22 @@ export type FetchArguments<Endpoint extends EP, Abortable extends boolean> =
 
 export declare function fetchEndpoint<
     Schema extends Sch,
-    Endpoint extends keyof Schema['endpoints'],
-    Abortable extends boolean
+    Endpoint extends keyof Schema['endpoints'] & string,
+    Abortable extends boolean,
+    Accept extends Representation = 'json',
+    Interceptors extends ReadonlyArray<Interceptor<{ tag: string }>> = []
 >(
     schema: Schema,
     endpoint: Endpoint,
-    args: FetchArguments<Schema['endpoints'][Endpoint], Abortable>
-): Promise<FetchResult<Schema['endpoints'][Endpoint]['responses'], Abortable>>
+    args:
+        & FetchArguments<Schema['endpoints'][Endpoint], Abortable, Endpoint, Accept>
+        & { interceptors?: Interceptors }
+): Promise<FetchResult<
+    Schema['endpoints'][Endpoint]['responses'],
+    Abortable,
+    Accept,
+    InterceptedErrors<Schema['interceptors']> | InterceptedErrors<Interceptors>
+>>
 
 
 export type WebSocketConnectError<Abortable extends boolean> =
@@ -134,63 +440,536 @@ export type ConnectResult<Endpoint extends EP, Abortable extends boolean> =
         ? WebSocketConnectResult<Endpoint, Abortable>
         : never
 
+type ConnectedWebSocket<T extends WebSocketCommunication | RPCCommunication> =
+    T extends RPCCommunication
+        ? RPCWebSocket<T>
+        : T extends WebSocketCommunication
+            ? ValidatedWebSocket<T>
+            : never
+
 export type WebSocketConnectResult<Endpoint extends WebSocketEndpoint, Abortable extends boolean> =
     Result<
-        ValidatedWebSocket<Endpoint['websocket']>,
+        ConnectedWebSocket<Endpoint['websocket']>,
         WebSocketConnectError<Abortable>
     >
 
-export type WebSocketMessageError = _WebSocketMessageError<ArrayBuffer | Blob | ArrayBufferView>
+export type WebSocketMessageError = _WebSocketMessageError<ArrayBuffer>
+
+export type ReceivedMessage<WS extends WebSocketCommunication> = MessageData<WS['down'], ArrayBuffer>
+export type SentMessage<WS extends WebSocketCommunication> = MessageData<WS['up'], ArrayBuffer | ArrayBufferView | Blob>
 
 export type CloseListener = (event: CloseEvent) => void
 
 export type MessageListener<T> = (result: Result<T, WebSocketMessageError>) => void
 
+export type ReconnectPolicy = {
+    /** Reconnection attempts before giving up. Defaults to Infinity. */
+    count?: number
+    /** Delay in milliseconds before the first attempt. Defaults to 500. */
+    baseDelay?: number
+    /** Upper bound in milliseconds for any delay. Defaults to 30000. */
+    maximumDelay?: number
+    /** Multiplier applied to the delay after each attempt. Defaults to 2. */
+    factor?: number
+    /** Randomise each delay between 0 and its full value. Defaults to true. */
+    jitter?: boolean
+}
+
+export type ConnectionState = 'connecting' | 'open' | 'reconnecting' | 'closed'
+
+
+export declare class ValidatedMessageEvent<T, Error = WebSocketMessageError> extends Event {
+    readonly type: 'validated-message'
+    readonly result: Result<T, Error>
+
+    constructor(result: Result<T, Error>)
+}
+
+export declare class ReconnectingEvent extends Event {
+    readonly type: 'reconnecting'
+    /** Starts at 1 for the first reconnection attempt. */
+    readonly attempt: number
+    readonly delay: number
+
+    constructor(attempt: number, delay: number)
+}
+
+export type ValidatedWebSocketEventMap<T> = {
+    'validated-message': ValidatedMessageEvent<T>
+    /** Fired for every underlying socket closure, including those followed by a reconnection. */
+    'close': CloseEvent
+    'connecting': Event
+    'open': Event
+    'reconnecting': ReconnectingEvent
+    /** Fired once the socket has closed for good. */
+    'closed': Event
+}
+
+export type ValidatedWebSocketOptions<Up = WebSocketCommunication['up']> = {
+    /** How sent messages are encoded. Without it they are sent as JSON. */
+    up?: Up
+    reconnect?: ReconnectPolicy | boolean
+    /** Creates a new socket for each reconnection attempt. Required if reconnecting. */
+    connect?: () => WebSocket
+    /** Closes the socket for good when aborted. */
+    signal?: AbortSignal
+}
+
 
-export declare class ValidatedWebSocket<WS extends WebSocketCommunication> {
+export declare class ValidatedWebSocket<WS extends WebSocketCommunication> extends EventTarget {
     #private
 
     readonly validator: WS['down']
     readonly state: number
+    readonly connectionState: ConnectionState
     readonly buffered: number
 
-    constructor(socket: WebSocket, validator: WS['down'])
+    constructor(socket: WebSocket, validator: WS['down'], options?: ValidatedWebSocketOptions<WS['up']>)
+
+    addEventListener<K extends keyof ValidatedWebSocketEventMap<ReceivedMessage<WS>>>(
+        type: K,
+        listener: (event: ValidatedWebSocketEventMap<ReceivedMessage<WS>>[K]) => void,
+        options?: boolean | AddEventListenerOptions
+    ): void
+    addEventListener(
+        type: string,
+        listener: EventListenerOrEventListenerObject | null,
+        options?: boolean | AddEventListenerOptions
+    ): void
+    removeEventListener<K extends keyof ValidatedWebSocketEventMap<ReceivedMessage<WS>>>(
+        type: K,
+        listener: (event: ValidatedWebSocketEventMap<ReceivedMessage<WS>>[K]) => void,
+        options?: boolean | EventListenerOptions
+    ): void
+    removeEventListener(
+        type: string,
+        listener: EventListenerOrEventListenerObject | null,
+        options?: boolean | EventListenerOptions
+    ): void
 
     addCloseListener(listener: CloseListener): void
     removeCloseListener(listener: CloseListener): void
 
-    addMessageListener(listener: MessageListener<Static<WS['down']>>): void
-    removeMessageListener(listener: MessageListener<Static<WS['down']>>): void
+    addMessageListener(listener: MessageListener<ReceivedMessage<WS>>): void
+    removeMessageListener(listener: MessageListener<ReceivedMessage<WS>>): void
 
     close(): void
 
-    send(message: Static<WS['up']>): void
+    /**
+     * Binary data is sent as a binary frame and everything else as text.
+     * Buffered while reconnecting, and sent once the new socket opens.
+     */
+    send(message: SentMessage<WS>): void
 }
 
 
-export type ConnectWebSocketArguments<Abortable extends boolean> = {
+export type ConnectionClosedError = {
+    tag: 'ConnectionClosed'
+}
+export type InvalidCallOutputError = {
+    tag: 'InvalidCallOutput'
+    output: unknown
+    result: ValidationFailure
+}
+export type InvalidNotificationError = {
+    tag: 'InvalidNotification'
+    name: string
+    data: unknown
+    result: ValidationFailure
+}
+
+export type CallError<T extends RPCCall> =
+    | RPCError<RPCErrorData<T>>
+    | AbortedError
+    | TimeoutError
+    | ConnectionClosedError
+    | InvalidCallOutputError
+
+export type CallOptions = {
+    signal?: AbortSignal
+    /** Milliseconds to wait for a reply. Defaults to waiting indefinitely. */
+    timeout?: number
+}
+
+type CallArguments<T extends RPCCall> = T['input'] extends Validator
+    ? [ input: RPCInput<T>, options?: CallOptions ]
+    : [ input?: undefined, options?: CallOptions ]
+
+export type NotificationListener<T> = (result: Result<T, InvalidNotificationError>) => void
+
+
+/**
+ * Returned when connecting to RPC endpoints. Message listeners receive the
+ * raw frames, including any which fail validation.
+ */
+export declare class RPCWebSocket<T extends RPCCommunication> extends ValidatedWebSocket<typeof rpcCommunication> {
+    readonly rpc: T
+
+    constructor(socket: WebSocket, rpc: T, options?: Omit<ValidatedWebSocketOptions, 'up'>)
+
+    /**
+     * Calls in flight when the socket closes fail with a ConnectionClosed
+     * error, even if it reconnects.
+     */
+    call<Name extends keyof T['calls'] & string>(
+        name: Name,
+        ...args: CallArguments<T['calls'][Name]>
+    ): Promise<Result<RPCOutput<T['calls'][Name]>, CallError<T['calls'][Name]>>>
+
+    addNotificationListener<Name extends RPCNotificationName<T>>(
+        name: Name,
+        listener: NotificationListener<RPCNotificationData<T, Name>>
+    ): void
+    removeNotificationListener<Name extends RPCNotificationName<T>>(
+        name: Name,
+        listener: NotificationListener<RPCNotificationData<T, Name>>
+    ): void
+}
+
+
+export type ConnectWebSocketArguments<
+    Abortable extends boolean,
+    Path extends string = string,
+    Endpoint extends EP = EP
+> =
+    & {
+        host?: string
+        tls?: boolean
+        reconnect?: ReconnectPolicy | boolean
+        transport?: Transport
+    }
+    & PathParamsArgument<Path, Endpoint>
+    & (
+        Abortable extends true
+            ? { signal: AbortSignal }
+            : { signal?: undefined }
+    )
+
+
+export declare function connectWebSocketEndpoint<
+    Schema extends Sch,
+    Endpoint extends ExtractWebSocketEndpointNames<Schema['endpoints']> & string
+>(
+    schema: Schema,
+    endpointName: Endpoint,
+    ...args: OptionalIfEmpty<ConnectWebSocketArguments<false, Endpoint, Schema['endpoints'][Endpoint]>>
+): Awaitable<ConnectResult<Schema['endpoints'][Endpoint], false>>
+export declare function connectWebSocketEndpoint<
+    Schema extends Sch,
+    Endpoint extends ExtractWebSocketEndpointNames<Schema['endpoints']> & string
+>(
+    schema: Schema,
+    endpointName: Endpoint,
+    args: ConnectWebSocketArguments<true, Endpoint, Schema['endpoints'][Endpoint]>
+): Awaitable<ConnectResult<Schema['endpoints'][Endpoint], true>>
+
+
+export type ServerSentEventError =
+    | {
+        tag: 'UnknownEvent'
+        event: string
+        data: string
+    }
+    | {
+        tag: 'NonJSONEvent'
+        event: string
+        data: string
+    }
+    | {
+        tag: 'InvalidEvent'
+        event: string
+        data: unknown
+        result: ValidationFailure
+    }
+
+export type ReceivedEvent<T extends SSEResponse> = ServerSentEvent<T> & {
+    /** The most recent ID sent by the server, which may be from an earlier event. */
+    id: string | undefined
+}
+
+export type ServerSentEventListener<T> = (result: Result<T, ServerSentEventError>) => void
+
+export type EventSubscriptionEventMap<T> = {
+    'validated-message': ValidatedMessageEvent<T, ServerSentEventError>
+    'connecting': Event
+    'open': Event
+    'reconnecting': ReconnectingEvent
+    /** Fired once the subscription has ended for good. */
+    'closed': Event
+}
+
+export type EventSubscriptionOptions = {
+    reconnect?: ReconnectPolicy | boolean
+    /**
+     * Requests the stream again for each reconnection attempt, sending the
+     * last event ID if there is one. Required if reconnecting.
+     */
+    connect?: (
+        lastEventID: string | undefined,
+        signal: AbortSignal
+    ) => Promise<Result<globalThis.Response, { tag: string }>>
+    /** Closes the subscription for good when aborted. */
+    signal?: AbortSignal
+}
+
+
+export declare class EventSubscription<T extends SSEResponse> extends EventTarget {
+    #private
+
+    readonly definition: T
+    readonly connectionState: ConnectionState
+    readonly lastEventID: string | undefined
+
+    constructor(response: globalThis.Response, definition: T, options?: EventSubscriptionOptions)
+
+    addEventListener<K extends keyof EventSubscriptionEventMap<ReceivedEvent<T>>>(
+        type: K,
+        listener: (event: EventSubscriptionEventMap<ReceivedEvent<T>>[K]) => void,
+        options?: boolean | AddEventListenerOptions
+    ): void
+    addEventListener(
+        type: string,
+        listener: EventListenerOrEventListenerObject | null,
+        options?: boolean | AddEventListenerOptions
+    ): void
+    removeEventListener<K extends keyof EventSubscriptionEventMap<ReceivedEvent<T>>>(
+        type: K,
+        listener: (event: EventSubscriptionEventMap<ReceivedEvent<T>>[K]) => void,
+        options?: boolean | EventListenerOptions
+    ): void
+    removeEventListener(
+        type: string,
+        listener: EventListenerOrEventListenerObject | null,
+        options?: boolean | EventListenerOptions
+    ): void
+
+    addMessageListener(listener: ServerSentEventListener<ReceivedEvent<T>>): void
+    removeMessageListener(listener: ServerSentEventListener<ReceivedEvent<T>>): void
+
+    close(): void
+}
+
+
+type SSEResponseOf<Res extends Responses> = {
+    [S in keyof Res]: Res[S] extends SSEResponse ? Res[S] : never
+}[keyof Res]
+
+export type EventStreamRefusedError<Res extends Responses> =
+    & { tag: 'EventStreamRefused' }
+    & FetchOutput<Res>
+
+export type SubscribeError<Res extends Responses, Abortable extends boolean> =
+    | NetworkError
+    | TimeoutError
+    | UnexpectedStatusError
+    | UnexpectedContentTypeError
+    | OutputDecodeError
+    | ProblemError
+    | (HasJSONResponse<Res> extends true ? OutputValidationError : never)
+    | (true extends HasResponseHeaders<Res> ? HeadersValidationError : never)
+    | ([ FetchOutput<Res> ] extends [ never ] ? never : EventStreamRefusedError<Res>)
+    | (Abortable extends true ? AbortedError : never)
+
+export type SubscribeResult<Res extends Responses, Abortable extends boolean> = Result<
+    EventSubscription<SSEResponseOf<Res>>,
+    SubscribeError<Res, Abortable>
+>
+
+export type SubscribeArguments<
+    Endpoint extends EP,
+    Abortable extends boolean,
+    Path extends string = string
+> =
+    & PathParamsArgument<Path, Endpoint>
+    & {
+        baseURL?: string
+        headers?: Record<string, string>
+        token?: TokenSource
+        transport?: Transport
+        /** Milliseconds to wait for each connection's response headers. */
+        timeout?: number
+        /** Defaults to true, reconnecting indefinitely. */
+        reconnect?: ReconnectPolicy | boolean
+        /** Run after the schema's interceptors. */
+        interceptors?: ReadonlyArray<Interceptor<{ tag: string }>>
+    }
+    & (
+        Abortable extends true
+            ? { signal: AbortSignal }
+            : { signal?: undefined }
+    )
+    & (
+        Endpoint['input'] extends Validator
+            ? { input: Infer<Endpoint['input']> }
+            : { input?: undefined }
+    )
+
+
+export declare function subscribeEndpoint<
+    Schema extends Sch,
+    Endpoint extends keyof Schema['endpoints'] & string
+>(
+    schema: Schema,
+    endpoint: Endpoint,
+    ...args: OptionalIfEmpty<SubscribeArguments<Schema['endpoints'][Endpoint], false, Endpoint>>
+): Promise<SubscribeResult<Schema['endpoints'][Endpoint]['responses'], false>>
+export declare function subscribeEndpoint<
+    Schema extends Sch,
+    Endpoint extends keyof Schema['endpoints'] & string
+>(
+    schema: Schema,
+    endpoint: Endpoint,
+    args: SubscribeArguments<Schema['endpoints'][Endpoint], true, Endpoint>
+): Promise<SubscribeResult<Schema['endpoints'][Endpoint]['responses'], true>>
+
+
+export type ClientOptions<
+    Abortable extends boolean,
+    Interceptors extends ReadonlyArray<Interceptor<{ tag: string }>> = []
+> = {
+    baseURL?: string
     host?: string
     tls?: boolean
+    headers?: Record<string, string>
+    token?: TokenSource
+    timeout?: number
+    retry?: RetryPolicy | false
+    transport?: Transport
+    /** Run after the schema's interceptors. */
+    interceptors?: Interceptors
+    maxReplays?: number
+    cache?: ResponseCache
+    instrumentation?: ClientInstrumentation
 } & (
     Abortable extends true
         ? { signal: AbortSignal }
         : { signal?: undefined }
 )
 
+type IsAbortable<Default extends boolean, Signal> = Default extends true
+    ? true
+    : (Signal extends AbortSignal ? true : false)
 
-export declare function connectWebSocketEndpoint<
+type MethodArguments<T, Signal> =
+    & Omit<T, 'signal' | 'baseURL' | 'host' | 'tls' | 'transport' | 'interceptors' | 'instrumentation'>
+    & { signal?: Signal }
+
+export type FetchMethod<
+    Schema extends Sch,
+    Endpoint extends keyof Schema['endpoints'] & string,
+    DefaultAbortable extends boolean,
+    Intercepted = never
+> = <
+    Signal extends AbortSignal | undefined = undefined,
+    Accept extends Representation = 'json'
+>(
+    ...args: OptionalIfEmpty<MethodArguments<
+        FetchArguments<Schema['endpoints'][Endpoint], false, Endpoint, Accept>,
+        Signal
+    >>
+) => Promise<FetchResult<
+    Schema['endpoints'][Endpoint]['responses'],
+    IsAbortable<DefaultAbortable, Signal>,
+    Accept,
+    InterceptedErrors<Schema['interceptors']> | Intercepted
+>>
+
+export type ConnectMethod<
+    Schema extends Sch,
+    Endpoint extends ExtractWebSocketEndpointNames<Schema['endpoints']> & string,
+    DefaultAbortable extends boolean
+> = {
+    connect<Signal extends AbortSignal | undefined = undefined>(
+        ...args: OptionalIfEmpty<MethodArguments<
+            ConnectWebSocketArguments<false, Endpoint, Schema['endpoints'][Endpoint]>,
+            Signal
+        >>
+    ): Awaitable<ConnectResult<
+        Schema['endpoints'][Endpoint],
+        IsAbortable<DefaultAbortable, Signal>
+    >>
+}
+
+export type SubscribeMethod<
+    Schema extends Sch,
+    Endpoint extends keyof Schema['endpoints'] & string,
+    DefaultAbortable extends boolean
+> = {
+    subscribe<Signal extends AbortSignal | undefined = undefined>(
+        ...args: OptionalIfEmpty<MethodArguments<
+            SubscribeArguments<Schema['endpoints'][Endpoint], false, Endpoint>,
+            Signal
+        >>
+    ): Promise<SubscribeResult<
+        Schema['endpoints'][Endpoint]['responses'],
+        IsAbortable<DefaultAbortable, Signal>
+    >>
+}
+
+type EndpointMethod<
     Schema extends Sch,
-    Endpoint extends ExtractWebSocketEndpointNames<Schema['endpoints']>
+    Endpoint extends keyof Schema['endpoints'] & string,
+    DefaultAbortable extends boolean,
+    Intercepted
+> = true extends HasSSEResponse<Schema['endpoints'][Endpoint]['responses']>
+    ? SubscribeMethod<Schema, Endpoint, DefaultAbortable>
+    : (Schema['endpoints'][Endpoint] extends WebSocketEndpoint
+        ? ConnectMethod<Schema, Endpoint & ExtractWebSocketEndpointNames<Schema['endpoints']>, DefaultAbortable>
+        : FetchMethod<Schema, Endpoint, DefaultAbortable, Intercepted>)
+
+type FirstSegment<Name extends string> = Name extends `${infer Head}/${string}`
+    ? Head
+    : Name
+
+type ChildSegments<Names extends string, Prefix extends string> = Prefix extends ''
+    ? FirstSegment<Names>
+    : (Names extends `${Prefix}/${infer Rest}` ? FirstSegment<Rest> : never)
+
+type JoinSegment<Prefix extends string, Segment extends string> = Prefix extends ''
+    ? Segment
+    : `${Prefix}/${Segment}`
+
+type ClientNode<
+    Schema extends Sch,
+    Prefix extends string,
+    DefaultAbortable extends boolean,
+    Intercepted
+> =
+    & (Prefix extends keyof Schema['endpoints']
+        ? EndpointMethod<Schema, Prefix, DefaultAbortable, Intercepted>
+        : {})
+    & {
+        [Segment in ChildSegments<keyof Schema['endpoints'] & string, Prefix>]: ClientNode<
+            Schema,
+            JoinSegment<Prefix, Segment>,
+            DefaultAbortable,
+            Intercepted
+        >
+    }
+
+/**
+ * Endpoints are nested by the segments of their names, so 'users/get' is
+ * called as `client.users.get(...)`. Path parameter segments keep their
+ * colon, as in `client.users[':id'].posts(...)`.
+ */
+export type Client<
+    Schema extends Sch,
+    DefaultAbortable extends boolean = false,
+    Intercepted = never
+> = ClientNode<Schema, '', DefaultAbortable, Intercepted>
+
+
+export declare function createClient<
+    Schema extends Sch,
+    Interceptors extends ReadonlyArray<Interceptor<{ tag: string }>> = []
 >(
     schema: Schema,
-    endpointName: Endpoint,
-    args?: ConnectWebSocketArguments<false>
-): Awaitable<ConnectResult<Schema['endpoints'][Endpoint], false>>
-export declare function connectWebSocketEndpoint<
+    options?: ClientOptions<false, Interceptors>
+): Client<Schema, false, InterceptedErrors<Interceptors>>
+export declare function createClient<
     Schema extends Sch,
-    Endpoint extends ExtractWebSocketEndpointNames<Schema['endpoints']>
+    Interceptors extends ReadonlyArray<Interceptor<{ tag: string }>> = []
 >(
     schema: Schema,
-    endpointName: Endpoint,
-    args: ConnectWebSocketArguments<true>
-): Awaitable<ConnectResult<Schema['endpoints'][Endpoint], true>>
+    options: ClientOptions<true, Interceptors>
+): Client<Schema, true, InterceptedErrors<Interceptors>>
@@ -1,11 +1,43 @@
 import { error, ok } from 'fallible'
-import { parseCharSetContentTypeHeader } from 'fallible-server/utils'
+import {
+    parseCharSetContentTypeHeader,
+    parseContentLengthHeader,
+    parseJSONString
+} from 'fallible-server/utils'
 
-import { CSRF_HEADER, JSON_KEY } from './constants.js'
-import { validateWebSocketMessage } from './shared.js'
+import { BATCH_PATH, JSON_KEY, PROBLEM_MEDIA_TYPE } from './constants.js'
+import {
+    buildPath,
+    buildQuery,
+    callHook,
+    createRouter,
+    createTraceparent,
+    encodeWebSocketMessage,
+    isBatchableEndpoint,
+    isRPCCommunication,
+    matchPath,
+    parsePath,
+    parseQuery,
+    parseTraceparent,
+    pickHeaders,
+    resolveAuthStrategy,
+    rpcCommunication,
+    validateWebSocketMessage
+} from './shared.js'
 
 
 const abortedError = error({ tag: 'Aborted' })
+const timeoutError = error({ tag: 'Timeout' })
+const connectionClosedError = error({ tag: 'ConnectionClosed' })
+
+const representationMediaTypes = {
+    json: 'application/json',
+    html: 'text/html'
+}
+
+const idempotentMethods = new Set([ 'GET', 'PUT', 'DELETE' ])
+const defaultRetryStatuses = [ 408, 429, 502, 503, 504 ]
+const retryAfterStatuses = new Set([ 429, 503 ])
 
 
 function networkOrAbortedError(signal, exception) {
@@ -32,38 +64,333 @@ function outputDecodeError(response, exception) {
 }
 
 
-function buildGETURL(url, input) {
-    if (input === undefined) {
-        return url
+function isProblemResponse(response) {
+    return response.headers.get('Content-Type')?.startsWith(PROBLEM_MEDIA_TYPE) ?? false
+}
+
+
+// problems stand in for the endpoint's own responses, so are recognised by
+// their media type whatever the status
+async function parseProblemResponse(response, signal) {
+    let text
+    try {
+        text = await response.text()
     }
-    const query = encodeURIComponent(JSON.stringify(input))
-    return `${url}?${JSON_KEY}=${query}`
+    catch (exception) {
+        return networkOrAbortedError(signal, exception)
+    }
+    let problem
+    try {
+        problem = parseJSONString(text)
+    }
+    catch (exception) {
+        return outputDecodeError(response, exception)
+    }
+    return error({ tag: 'Problem', problem, response })
 }
 
 
-export function buildURL(schema, endpoint, input) {
-    let url = schema.prefix + endpoint
-    const { method } = schema.endpoints[endpoint]
-    if (method === undefined || method === 'GET') {
-        url = buildGETURL(url, input)
+function sleep(milliseconds, signal) {
+    if (signal?.aborted) {
+        return false
+    }
+    return new Promise(resolve => {
+        const onAbort = () => {
+            clearTimeout(timer)
+            resolve(false)
+        }
+        const timer = setTimeout(
+            () => {
+                signal?.removeEventListener('abort', onAbort)
+                resolve(true)
+            },
+            milliseconds
+        )
+        signal?.addEventListener('abort', onAbort)
+    })
+}
+
+
+// release runs once the body has been read to its end, has failed or has
+// been cancelled. the response is rebuilt around the wrapped body, keeping
+// what the Response constructor can't be given
+function releaseAfterBody(response, release) {
+    if (response.body === null) {
+        release()
+        return response
+    }
+    const reader = response.body.getReader()
+    const body = new ReadableStream({
+        pull: async controller => {
+            let chunk
+            try {
+                chunk = await reader.read()
+            }
+            catch (exception) {
+                release()
+                controller.error(exception)
+                return
+            }
+            if (chunk.done) {
+                release()
+                controller.close()
+                return
+            }
+            controller.enqueue(chunk.value)
+        },
+        cancel: reason => {
+            release()
+            return reader.cancel(reason)
+        }
+    })
+    const wrapped = new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+    })
+    Object.defineProperties(wrapped, {
+        url: { value: response.url },
+        redirected: { value: response.redirected }
+    })
+    return wrapped
+}
+
+
+async function fetchWithTimeout(fetch, url, init, timeout, signal) {
+    if (timeout === undefined) {
+        try {
+            return ok(await fetch(url, { ...init, signal }))
+        }
+        catch (exception) {
+            return networkOrAbortedError(signal, exception)
+        }
+    }
+
+    const controller = new AbortController()
+    const onAbort = () => controller.abort()
+    const release = () => signal?.removeEventListener('abort', onAbort)
+    let timedOut = false
+    const timer = setTimeout(
+        () => {
+            timedOut = true
+            controller.abort()
+        },
+        timeout
+    )
+    // kept until the body is finished with, as it's still read under the
+    // controller's signal and aborting should cancel that too
+    signal?.addEventListener('abort', onAbort, { once: true })
+    let response
+    try {
+        response = await fetch(url, { ...init, signal: controller.signal })
+    }
+    catch (exception) {
+        release()
+        if (signal?.aborted) {
+            return abortedError
+        }
+        if (timedOut) {
+            return timeoutError
+        }
+        return error({ tag: 'NetworkError', exception })
+    }
+    finally {
+        clearTimeout(timer)
+    }
+    return ok(signal === undefined ? response : releaseAfterBody(response, release))
+}
+
+
+// returns the delay in milliseconds, or undefined if the header is missing
+// or malformed
+function parseRetryAfterHeader(header) {
+    if (header === null) {
+        return undefined
+    }
+    if (/^\d+$/.test(header)) {
+        return Number(header) * 1000
+    }
+    const date = Date.parse(header)
+    if (Number.isNaN(date)) {
+        return undefined
+    }
+    return Math.max(date - Date.now(), 0)
+}
+
+
+function getRetryPolicy(schema, endpoint, retry) {
+    if (retry === false) {
+        return undefined
+    }
+    const idempotent = endpoint.idempotent
+        ?? idempotentMethods.has(endpoint.method ?? 'GET')
+    if (!idempotent) {
+        return undefined
+    }
+    const {
+        count = 0,
+        baseDelay = 100,
+        maximumDelay = 10_000,
+        factor = 2,
+        jitter = true,
+        statuses = defaultRetryStatuses
+    } = { ...schema.retry, ...retry }
+    if (count <= 0) {
+        return undefined
+    }
+    return { count, baseDelay, maximumDelay, factor, jitter, statuses }
+}
+
+
+function getBackoffDelay(policy, attempt) {
+    const delay = Math.min(
+        policy.baseDelay * (policy.factor ** attempt),
+        policy.maximumDelay
+    )
+    return policy.jitter
+        ? Math.random() * delay
+        : delay
+}
+
+
+// returns undefined if the response should not be retried
+function getRetryDelay(policy, attempt, result) {
+    if (!result.ok) {
+        return result.value.tag === 'Aborted'
+            ? undefined
+            : getBackoffDelay(policy, attempt)
+    }
+    const { status, headers } = result.value
+    if (!policy.statuses.includes(status)) {
+        return undefined
+    }
+    if (!retryAfterStatuses.has(status)) {
+        return getBackoffDelay(policy, attempt)
+    }
+    const retryAfter = parseRetryAfterHeader(headers.get('Retry-After'))
+    if (retryAfter === undefined) {
+        return getBackoffDelay(policy, attempt)
+    }
+    // waiting longer than the policy allows is treated as a final response
+    // rather than silently shortening the server's requested delay
+    return retryAfter > policy.maximumDelay
+        ? undefined
+        : retryAfter
+}
+
+
+async function fetchWithRetries(url, init, { fetch, timeout, retry, signal }) {
+    for (let attempt = 0; ; attempt++) {
+        const result = await fetchWithTimeout(fetch, url, init, timeout, signal)
+        if (retry === undefined || attempt >= retry.count) {
+            return result
+        }
+        const delay = getRetryDelay(retry, attempt, result)
+        if (delay === undefined) {
+            return result
+        }
+        if (result.ok) {
+            result.value.body?.cancel().catch(() => {})
+        }
+        if (!await sleep(delay, signal)) {
+            return abortedError
+        }
+    }
+}
+
+
+// errors the returned stream with a tagged NetworkError or Aborted error
+// rather than the underlying exception
+function trackBodyProgress(body, total, onProgress, signal) {
+    if (body === null) {
+        onProgress?.({ received: 0, total })
+        return new ReadableStream({
+            start: controller => controller.close()
+        })
+    }
+    const reader = body.getReader()
+    let received = 0
+    return new ReadableStream({
+        pull: async controller => {
+            let chunk
+            try {
+                chunk = await reader.read()
+            }
+            catch (exception) {
+                controller.error(networkOrAbortedError(signal, exception).value)
+                return
+            }
+            if (chunk.done) {
+                controller.close()
+                return
+            }
+            received += chunk.value.byteLength
+            onProgress?.({ received, total })
+            controller.enqueue(chunk.value)
+        },
+        cancel: reason => reader.cancel(reason)
+    })
+}
+
+
+function buildGETURL(url, endpoint, input) {
+    const query = buildQuery(endpoint, input)
+    return query === '' ? url : `${url}?${query}`
+}
+
+
+function buildEndpointPath(schema, endpoint, params) {
+    return schema.prefix + buildPath(endpoint, params)
+}
+
+
+// params come after the input so that callers passing only the input, from
+// before endpoints had path params, still work
+export function buildURL(schema, endpoint, input, params) {
+    let url = buildEndpointPath(schema, endpoint, params)
+    const definition = schema.endpoints[endpoint]
+    if (definition.method === undefined || definition.method === 'GET') {
+        url = buildGETURL(url, definition, input)
     }
     return url
 }
 
 
-export async function fetchEndpoint(schema, endpoint, { input, files, signal }) {
-    if (signal?.aborted) {
-        return abortedError
+// returns the fetch credentials mode, as only the cookie strategy needs the
+// browser to send cookies
+async function attachCredentials(strategy, headers, token) {
+    if (strategy.type === 'cookie') {
+        headers[strategy.csrfHeader] = ''
+        return 'same-origin'
+    }
+    const value = typeof token === 'function' ? await token() : token
+    if (value !== undefined) {
+        if (strategy.type === 'bearer') {
+            headers['Authorization'] = `Bearer ${value}`
+        }
+        else {
+            headers[strategy.header] = value
+        }
     }
+    return 'omit'
+}
+
 
-    const { method, auth, responses } = schema.endpoints[endpoint]
+// builds the URL and request init shared by fetched and subscribed endpoints
+async function prepareRequest(
+    schema,
+    endpoint,
+    { input, params, files, baseURL, headers: extraHeaders, token }
+) {
+    const endpointDefinition = schema.endpoints[endpoint]
+    const { method, auth } = endpointDefinition
 
-    const headers = {}
-    let url = schema.prefix + endpoint
+    const headers = { ...extraHeaders }
+    let url = baseURL + buildEndpointPath(schema, endpoint, params)
     let body
 
     if (method === undefined || method === 'GET') {
-        url = buildGETURL(url, input)
+        url = buildGETURL(url, endpointDefinition, input)
     }
     else if (files !== undefined) {
         body = new FormData()
@@ -83,38 +410,33 @@ export async function fetchEndpoint(schema, endpoint, { input, files, signal })
     switch (auth) {
         case 'required':
         case 'optional':
-            credentials = 'same-origin'
-            headers[CSRF_HEADER] = ''
+            credentials = await attachCredentials(
+                resolveAuthStrategy(schema, endpointDefinition),
+                headers,
+                token
+            )
             break
         default:
             credentials = 'omit'
     }
 
-    let response
-    try {
-        response = await fetch(url, { method, body, headers, credentials, signal })
-    }
-    catch (exception) {
-        return networkOrAbortedError(signal, exception)
-    }
+    return { url, init: { method, body, headers, credentials } }
+}
 
-    const res = responses[response.status]
-    if (res === undefined) {
-        return error({ tag: 'UnexpectedStatus', response })
-    }
 
+async function parseResponse(res, response, { onProgress, signal }) {
     const contentType = response.headers.get('Content-Type')
     if (contentType === null) {
         return unexpectedContentTypeError(response)
     }
     const parsed = parseCharSetContentTypeHeader(contentType)
-    if (parsed === undefined || parsed.characterSet !== 'utf-8') {
+    if (parsed === undefined) {
         return unexpectedContentTypeError(response)
     }
 
     switch (res.type) {
         case 'html': {
-            if (parsed.type !== 'text/html') {
+            if (parsed.type !== 'text/html' || parsed.characterSet !== 'utf-8') {
                 return unexpectedContentTypeError(response)
             }
             let data
@@ -130,7 +452,7 @@ export async function fetchEndpoint(schema, endpoint, { input, files, signal })
             })
         }
         case 'json': {
-            if (parsed.type !== 'application/json') {
+            if (parsed.type !== 'application/json' || parsed.characterSet !== 'utf-8') {
                 return unexpectedContentTypeError(response)
             }
             let output
@@ -158,17 +480,44 @@ export async function fetchEndpoint(schema, endpoint, { input, files, signal })
             if (!res.mimetype.guard(parsed.type)) {
                 return unexpectedContentTypeError(response)
             }
-            // TODO: return web stream
-            let data
+            const lengthHeader = response.headers.get('Content-Length')
+            const length = lengthHeader === null
+                ? undefined
+                : parseContentLengthHeader(lengthHeader)
+            const stream = trackBodyProgress(
+                response.body,
+                length,
+                onProgress,
+                signal
+            )
+            if (res.stream) {
+                return ok({
+                    status: response.status,
+                    data: {
+                        stream,
+                        mimetype: parsed.type,
+                        length
+                    }
+                })
+            }
+            const chunks = []
+            const reader = stream.getReader()
             try {
-                data = await response.blob()
+                while (true) {
+                    const { done, value } = await reader.read()
+                    if (done) {
+                        break
+                    }
+                    chunks.push(value)
+                }
             }
             catch (exception) {
-                return outputDecodeError(response, exception)
+                // already tagged by trackBodyProgress
+                return error(exception)
             }
             return ok({
                 status: response.status,
-                data
+                data: new Blob(chunks, { type: parsed.type })
             })
         }
         default:
@@ -177,67 +526,817 @@ export async function fetchEndpoint(schema, endpoint, { input, files, signal })
 }
 
 
-// TODO: use EventTarget
-export class ValidatedWebSocket {
-    #socket
-    #messageListeners
+// headers are checked before the body is read, so that it can be cancelled
+// rather than read for nothing
+async function parseResponseWithHeaders(definition, res, response, options) {
+    if (definition.headers === undefined) {
+        return parseResponse(res, response, options)
+    }
+    const headers = pickHeaders(
+        definition.headers,
+        name => response.headers.get(name),
+        response.headers.keys()
+    )
+    const validationResult = definition.headers.validate(headers)
+    if (!validationResult.success) {
+        response.body?.cancel().catch(() => {})
+        return error({
+            tag: 'HeadersValidationError',
+            headers,
+            response,
+            result: validationResult
+        })
+    }
+    const result = await parseResponse(res, response, options)
+    if (!result.ok) {
+        return result
+    }
+    return ok({ ...result.value, headers: validationResult.value })
+}
 
-    constructor(socket, validator) {
-        this.#socket = socket
-        this.#messageListeners = []
-        this.validator = validator
 
-        socket.addEventListener('message', ({ data }) => {
-            if (this.#messageListeners.length === 0) {
+async function runRequestInterceptors(interceptors, request, context) {
+    for (const interceptor of interceptors) {
+        request = await interceptor.request?.(request, context) ?? request
+    }
+    return request
+}
+
+
+// returns whether an interceptor asked for the request to be replayed
+async function runResponseInterceptors(interceptors, response, context) {
+    for (const interceptor of interceptors) {
+        const action = await interceptor.response?.(response, context)
+        if (action?.replay) {
+            return true
+        }
+    }
+    return false
+}
+
+
+// the first interceptor to return an error replaces the original, and the
+// rest are skipped
+async function runErrorInterceptors(interceptors, result, context) {
+    if (result.ok) {
+        return result
+    }
+    for (const interceptor of interceptors) {
+        const mapped = await interceptor.error?.(result.value, context)
+        if (mapped !== undefined) {
+            return error(mapped)
+        }
+    }
+    return result
+}
+
+
+// least recently used entries are evicted first, relying on maps iterating
+// in insertion order
+export function createResponseCache({ maximumEntries = 100 } = {}) {
+    const entries = new Map()
+    return {
+        get: key => {
+            const entry = entries.get(key)
+            if (entry !== undefined) {
+                entries.delete(key)
+                entries.set(key, entry)
+            }
+            return entry
+        },
+        set: (key, entry) => {
+            entries.delete(key)
+            entries.set(key, entry)
+            if (entries.size > maximumEntries) {
+                entries.delete(entries.keys().next().value)
+            }
+        },
+        delete: key => {
+            entries.delete(key)
+        },
+        clear: () => {
+            entries.clear()
+        }
+    }
+}
+
+
+// only responses that can be revalidated are worth keeping, and streamed
+// bodies can only be read once
+function storeCachedResponse(cache, key, response, res, output) {
+    const etag = response.headers.get('ETag') ?? undefined
+    const lastModified = response.headers.get('Last-Modified') ?? undefined
+    if (
+        (etag === undefined && lastModified === undefined)
+        || response.headers.get('Cache-Control')?.includes('no-store')
+        || (res.type === 'binary' && res.stream)
+    ) {
+        return
+    }
+    cache.set(key, { etag, lastModified, output })
+}
+
+
+function createAbortException() {
+    return new DOMException('The operation was aborted', 'AbortError')
+}
+
+
+function toBatchedResponse({ status, headers, body, encoding }) {
+    if (body !== null && encoding === 'base64') {
+        body = Uint8Array.from(atob(body), character => character.charCodeAt(0))
+    }
+    return new Response(body, { status, headers })
+}
+
+
+// calls are held until the next turn of the event loop, by which point any
+// others made in the same tick have caught up through their awaits
+export function createBatchTransport(
+    schema,
+    { baseURL = '', transport, maximumCalls = 20 } = {}
+) {
+    const fetch = (input, init) => (transport?.fetch ?? globalThis.fetch)(input, init)
+    const prefix = baseURL + schema.prefix
+    const route = createRouter(
+        Object.keys(schema.endpoints).filter(name =>
+            isBatchableEndpoint(schema.endpoints[name])
+        )
+    )
+    let queued = []
+
+    // anything other than a GET request for a batchable endpoint is sent as
+    // it would have been without batching
+    const toBatchedCall = (input, init) => {
+        if (
+            typeof input !== 'string'
+            || !input.startsWith(prefix)
+            || (init?.method ?? 'GET') !== 'GET'
+        ) {
+            return undefined
+        }
+        const headers = {}
+        new Headers(init?.headers).forEach((value, name) => {
+            headers[name] = value
+        })
+        if (headers['accept'] === 'text/event-stream') {
+            return undefined
+        }
+        const rest = input.slice(prefix.length)
+        const index = rest.indexOf('?')
+        const path = index === -1 ? rest : rest.slice(0, index)
+        const endpoint = route(path)
+        if (endpoint === undefined) {
+            return undefined
+        }
+        const matchResult = matchPath(parsePath(endpoint), path)
+        if (!matchResult.ok) {
+            return undefined
+        }
+        const definition = schema.endpoints[endpoint]
+        let callInput
+        if (definition.input !== undefined && index !== -1) {
+            const queryResult = parseQuery(
+                definition,
+                new URLSearchParams(rest.slice(index + 1))
+            )
+            // left for the server to reject
+            if (!queryResult.ok) {
+                return undefined
+            }
+            callInput = queryResult.value
+        }
+        return {
+            endpoint,
+            params: matchResult.value,
+            input: callInput,
+            headers
+        }
+    }
+
+    const sendEach = batch => {
+        for (const { input, init, resolve, reject } of batch) {
+            fetch(input, init).then(resolve, reject)
+        }
+    }
+
+    const send = async (batch, credentials) => {
+        if (batch.length === 1) {
+            sendEach(batch)
+            return
+        }
+        let responses
+        try {
+            const res = await fetch(prefix + BATCH_PATH, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json; charset=utf-8' },
+                body: JSON.stringify(batch.map(({ call }) => call)),
+                credentials
+            })
+            // most likely a server without batching enabled
+            if (
+                res.status !== 200
+                || !res.headers.get('Content-Type')?.startsWith('application/json')
+            ) {
+                res.body?.cancel().catch(() => {})
+                sendEach(batch)
                 return
             }
-            const result = validateWebSocketMessage(data, this.validator)
-            for (const listener of this.#messageListeners) {
-                listener(result)
+            responses = await res.json()
+            if (!Array.isArray(responses) || responses.length !== batch.length) {
+                throw new Error('Malformed batch response')
+            }
+        }
+        catch (exception) {
+            for (const { reject } of batch) {
+                reject(exception)
+            }
+            return
+        }
+        for (const [ index, { resolve } ] of batch.entries()) {
+            resolve(toBatchedResponse(responses[index]))
+        }
+    }
+
+    // calls are only batched with others sent with the same credentials, as
+    // the batch request is sent with them on behalf of every call in it
+    const flush = () => {
+        const groups = new Map()
+        for (const queuedCall of queued) {
+            if (queuedCall.init?.signal?.aborted) {
+                continue
+            }
+            const credentials = queuedCall.init?.credentials
+            const group = groups.get(credentials)
+            if (group === undefined) {
+                groups.set(credentials, [ queuedCall ])
+            }
+            else {
+                group.push(queuedCall)
+            }
+        }
+        queued = []
+        for (const [ credentials, pending ] of groups) {
+            for (let index = 0; index < pending.length; index += maximumCalls) {
+                send(pending.slice(index, index + maximumCalls), credentials)
             }
+        }
+    }
+
+    return {
+        fetch: (input, init) => {
+            const call = toBatchedCall(input, init)
+            if (call === undefined) {
+                return fetch(input, init)
+            }
+            return new Promise((resolve, reject) => {
+                const signal = init?.signal
+                if (signal?.aborted) {
+                    reject(createAbortException())
+                    return
+                }
+                signal?.addEventListener(
+                    'abort',
+                    () => reject(createAbortException()),
+                    { once: true }
+                )
+                queued.push({ call, input, init, resolve, reject })
+                if (queued.length === 1) {
+                    setTimeout(flush)
+                }
+            })
+        },
+        WebSocket: transport?.WebSocket
+    }
+}
+
+
+function getInterceptors(schema, interceptors) {
+    return [ ...schema.interceptors ?? [], ...interceptors ?? [] ]
+}
+
+
+// a function gives the parent to continue, such as the span active when
+// the request is made
+function getTraceparent(option) {
+    if (typeof option === 'function') {
+        return createTraceparent(parseTraceparent(option()))
+    }
+    return option === true ? createTraceparent() : undefined
+}
+
+
+export async function fetchEndpoint(
+    schema,
+    endpoint,
+    {
+        input,
+        params,
+        files,
+        signal,
+        timeout = schema.timeout,
+        retry,
+        onProgress,
+        accept = 'json',
+        baseURL = '',
+        headers,
+        token,
+        transport,
+        interceptors: clientInterceptors,
+        maxReplays = 3,
+        cache,
+        instrumentation
+    }
+) {
+    if (signal?.aborted) {
+        return abortedError
+    }
+    const started = performance.now()
+
+    const endpointDefinition = schema.endpoints[endpoint]
+    const { responses } = endpointDefinition
+    if (Object.values(responses).some(res => res.type === 'sse')) {
+        throw new Error('Endpoints with event stream responses must be subscribed to')
+    }
+    if ((endpointDefinition.method ?? 'GET') !== 'GET') {
+        cache = undefined
+    }
+
+    const interceptors = getInterceptors(schema, clientInterceptors)
+    const context = { schema, endpoint, replays: 0 }
+    // shared by replays and retries, as they continue the same operation
+    const traceparent = getTraceparent(instrumentation?.traceparent)
+    if (traceparent !== undefined) {
+        headers = { ...headers, traceparent }
+    }
+
+    let fetchResult, cacheKey, cached
+    for (; ; context.replays++) {
+        // prepared again for each replay, as an interceptor replaying after
+        // a 401 will usually have refreshed the token
+        const { url, init } = await prepareRequest(schema, endpoint, {
+            input,
+            params,
+            files,
+            baseURL,
+            headers,
+            token
         })
+        if (Object.values(responses).some(res => res.type === 'negotiated')) {
+            init.headers['Accept'] = representationMediaTypes[accept]
+        }
+        if (cache !== undefined) {
+            // representations of the same URL are cached separately
+            cacheKey = `${accept} ${url}`
+            cached = cache.get(cacheKey)
+            if (cached?.etag !== undefined) {
+                init.headers['If-None-Match'] = cached.etag
+            }
+            if (cached?.lastModified !== undefined) {
+                init.headers['If-Modified-Since'] = cached.lastModified
+            }
+        }
+        const request = await runRequestInterceptors(
+            interceptors,
+            { url, init },
+            context
+        )
+
+        fetchResult = await fetchWithRetries(
+            request.url,
+            request.init,
+            {
+                fetch: transport?.fetch ?? globalThis.fetch,
+                timeout,
+                retry: getRetryPolicy(schema, endpointDefinition, retry),
+                signal
+            }
+        )
+        if (
+            !fetchResult.ok
+            || !await runResponseInterceptors(interceptors, fetchResult.value, context)
+        ) {
+            break
+        }
+        fetchResult.value.body?.cancel().catch(() => {})
+        // stops an interceptor that always replays, such as one whose token
+        // refresh keeps failing, from looping forever
+        if (context.replays >= maxReplays) {
+            fetchResult = error({
+                tag: 'TooManyReplays',
+                replays: context.replays,
+                response: fetchResult.value
+            })
+            break
+        }
+    }
+
+    let result
+    if (!fetchResult.ok) {
+        result = fetchResult
+    }
+    else if (fetchResult.value.status === 304 && cached !== undefined) {
+        result = ok(cached.output)
+    }
+    else {
+        const response = fetchResult.value
+        const definition = responses[response.status]
+        let res = definition
+        if (res?.type === 'negotiated') {
+            res = res[accept]
+        }
+        if (isProblemResponse(response)) {
+            result = await parseProblemResponse(response, signal)
+        }
+        else if (res === undefined) {
+            result = error({ tag: 'UnexpectedStatus', response })
+        }
+        else {
+            result = await parseResponseWithHeaders(
+                definition,
+                res,
+                response,
+                { onProgress, signal }
+            )
+            if (result.ok && cache !== undefined) {
+                storeCachedResponse(cache, cacheKey, response, res, result.value)
+            }
+        }
+    }
+    result = await runErrorInterceptors(interceptors, result, context)
+    callHook(instrumentation?.onFetch, {
+        endpoint,
+        method: endpointDefinition.method ?? 'GET',
+        duration: performance.now() - started,
+        status: fetchResult.ok ? fetchResult.value.status : undefined,
+        error: result.ok ? undefined : result.value.tag,
+        replays: context.replays,
+        traceparent
+    })
+    return result
+}
+
+
+export class ValidatedMessageEvent extends Event {
+    constructor(result) {
+        super('validated-message')
+        this.result = result
+    }
+}
+
+
+export class ReconnectingEvent extends Event {
+    constructor(attempt, delay) {
+        super('reconnecting')
+        this.attempt = attempt
+        this.delay = delay
+    }
+}
+
+
+// the spec's value, rather than WebSocket.OPEN, as the global may not exist
+// where a transport supplies its own implementation
+const WEBSOCKET_OPEN = 1
+
+
+function createCloseEvent(code, reason, wasClean) {
+    if (typeof CloseEvent === 'function') {
+        return new CloseEvent('close', { code, reason, wasClean })
+    }
+    return Object.assign(new Event('close'), { code, reason, wasClean })
+}
+
+
+function getReconnectPolicy(reconnect) {
+    if (reconnect === undefined || reconnect === false) {
+        return undefined
+    }
+    const {
+        count = Infinity,
+        baseDelay = 500,
+        maximumDelay = 30_000,
+        factor = 2,
+        jitter = true
+    } = reconnect === true ? {} : reconnect
+    return { count, baseDelay, maximumDelay, factor, jitter }
+}
+
+
+export class ValidatedWebSocket extends EventTarget {
+    #socket
+    #up
+    #messageListeners
+    #reconnect
+    #connect
+    #queue
+    #closed
+    #attempt
+    #timer
+    #connectionState
+
+    constructor(socket, validator, { up, reconnect, connect, signal } = {}) {
+        super()
+        this.validator = validator
+        this.#up = up
+        this.#messageListeners = new Map()
+        this.#reconnect = getReconnectPolicy(reconnect)
+        this.#connect = connect
+        this.#queue = []
+        this.#closed = false
+        this.#attempt = 0
+        this.#connectionState = socket.readyState === WEBSOCKET_OPEN
+            ? 'open'
+            : 'connecting'
+
+        if (this.#reconnect !== undefined && connect === undefined) {
+            throw new Error('Reconnecting requires a connect function')
+        }
+
+        signal?.addEventListener('abort', () => this.close(), { once: true })
+        this.#attach(socket)
+    }
+
+    #attach(socket) {
+        this.#socket = socket
+        socket.binaryType = 'arraybuffer'
+        socket.addEventListener('open', this.#onOpen)
+        socket.addEventListener('message', this.#onMessage)
+        socket.addEventListener('close', this.#onClose)
+    }
+
+    #detach() {
+        this.#socket.removeEventListener('open', this.#onOpen)
+        this.#socket.removeEventListener('message', this.#onMessage)
+        this.#socket.removeEventListener('close', this.#onClose)
+    }
+
+    #setConnectionState(state) {
+        this.#connectionState = state
+        this.dispatchEvent(new Event(state))
+    }
+
+    #onOpen = () => {
+        this.#attempt = 0
+        this.#setConnectionState('open')
+        const queue = this.#queue
+        this.#queue = []
+        for (const message of queue) {
+            this.#socket.send(message)
+        }
+    }
+
+    #onMessage = ({ data }) => {
+        const result = validateWebSocketMessage(data, this.validator)
+        this.dispatchEvent(new ValidatedMessageEvent(result))
+    }
+
+    #onClose = ({ code, reason, wasClean }) => {
+        this.#detach()
+        this.dispatchEvent(createCloseEvent(code, reason, wasClean))
+        this.#scheduleReconnect()
+    }
+
+    #scheduleReconnect() {
+        if (
+            this.#closed
+            || this.#reconnect === undefined
+            || this.#attempt >= this.#reconnect.count
+        ) {
+            this.#finish()
+            return
+        }
+        const delay = getBackoffDelay(this.#reconnect, this.#attempt)
+        this.#attempt++
+        this.#connectionState = 'reconnecting'
+        this.dispatchEvent(new ReconnectingEvent(this.#attempt, delay))
+        this.#timer = setTimeout(
+            () => {
+                this.#timer = undefined
+                this.#setConnectionState('connecting')
+                let socket
+                try {
+                    socket = this.#connect()
+                }
+                catch {
+                    // such as the constructor rejecting the URL, which
+                    // counts as a failed attempt like any other
+                    this.#scheduleReconnect()
+                    return
+                }
+                this.#attach(socket)
+            },
+            delay
+        )
+    }
+
+    #finish() {
+        this.#closed = true
+        this.#queue = []
+        this.#setConnectionState('closed')
     }
 
     addCloseListener(listener) {
-        this.#socket.addEventListener('close', listener)
+        this.addEventListener('close', listener)
     }
 
     removeCloseListener(listener) {
-        this.#socket.removeEventListener('close', listener)
+        this.removeEventListener('close', listener)
     }
 
     addMessageListener(listener) {
-        this.#messageListeners.push(listener)
+        if (this.#messageListeners.has(listener)) {
+            return
+        }
+        const wrapped = event => listener(event.result)
+        this.#messageListeners.set(listener, wrapped)
+        this.addEventListener('validated-message', wrapped)
     }
 
     removeMessageListener(listener) {
-        this.#messageListeners = this.#messageListeners.filter(l => l !== listener)
+        const wrapped = this.#messageListeners.get(listener)
+        if (wrapped === undefined) {
+            return
+        }
+        this.#messageListeners.delete(listener)
+        this.removeEventListener('validated-message', wrapped)
     }
 
     close() {
-        this.#socket.close()
+        if (this.#closed) {
+            return
+        }
+        this.#closed = true
+        if (this.#timer === undefined) {
+            this.#socket.close()
+            return
+        }
+        // waiting between reconnection attempts, so there is no socket to
+        // close and no close event to wait for
+        clearTimeout(this.#timer)
+        this.#timer = undefined
+        this.#finish()
     }
 
     send(message) {
-        this.#socket.send(JSON.stringify(message))
+        // without the up definition messages are sent as JSON, as they were
+        // before other message types
+        const data = this.#up === undefined
+            ? JSON.stringify(message)
+            : encodeWebSocketMessage(message, this.#up)
+        if (
+            this.#reconnect !== undefined
+            && !this.#closed
+            && this.#socket.readyState !== WEBSOCKET_OPEN
+        ) {
+            this.#queue.push(data)
+            return
+        }
+        this.#socket.send(data)
     }
 
     get state() {
         return this.#socket.readyState
     }
 
+    get connectionState() {
+        return this.#connectionState
+    }
+
     get buffered() {
         return this.#socket.bufferedAmount
     }
 }
 
 
+// frames are sent and validated by the parent class, and only their contents
+// validated here
+export class RPCWebSocket extends ValidatedWebSocket {
+    #calls
+    #nextId
+    #notificationListeners
+
+    constructor(socket, rpc, options) {
+        super(socket, rpcCommunication.down, {
+            ...options,
+            up: rpcCommunication.up
+        })
+        this.rpc = rpc
+        this.#calls = new Map()
+        this.#nextId = 0
+        this.#notificationListeners = new Map()
+        this.addEventListener('validated-message', this.#onFrame)
+        this.addEventListener('close', this.#onClose)
+    }
+
+    #onFrame = event => {
+        const { result } = event
+        // rejected frames reach message listeners like any other socket's
+        if (!result.ok) {
+            return
+        }
+        const frame = result.value
+        if (frame.type === 'notification') {
+            this.#receiveNotification(frame)
+            return
+        }
+        const call = this.#calls.get(frame.id)
+        if (call === undefined) {
+            return
+        }
+        if (frame.type === 'error') {
+            call.settle(error(frame.error))
+            return
+        }
+        const validationResult = this.rpc.calls[call.name].output.validate(frame.output)
+        call.settle(
+            validationResult.success
+                ? ok(validationResult.value)
+                : error({
+                    tag: 'InvalidCallOutput',
+                    output: frame.output,
+                    result: validationResult
+                })
+        )
+    }
+
+    // replies to calls in flight are lost along with the socket, even if it
+    // is reconnected
+    #onClose = () => {
+        for (const call of this.#calls.values()) {
+            call.settle(connectionClosedError)
+        }
+    }
+
+    #receiveNotification({ name, data }) {
+        const listeners = this.#notificationListeners.get(name)
+        const validator = this.rpc.notifications?.[name]
+        if (listeners === undefined || validator === undefined) {
+            return
+        }
+        const validationResult = validator.validate(data)
+        const result = validationResult.success
+            ? ok(validationResult.value)
+            : error({
+                tag: 'InvalidNotification',
+                name,
+                data,
+                result: validationResult
+            })
+        for (const listener of listeners) {
+            listener(result)
+        }
+    }
+
+    addNotificationListener(name, listener) {
+        let listeners = this.#notificationListeners.get(name)
+        if (listeners === undefined) {
+            listeners = new Set()
+            this.#notificationListeners.set(name, listeners)
+        }
+        listeners.add(listener)
+    }
+
+    removeNotificationListener(name, listener) {
+        this.#notificationListeners.get(name)?.delete(listener)
+    }
+
+    call(name, input, { signal, timeout } = {}) {
+        if (signal?.aborted) {
+            return Promise.resolve(abortedError)
+        }
+        if (this.connectionState === 'closed') {
+            return Promise.resolve(connectionClosedError)
+        }
+        const id = this.#nextId++
+        return new Promise(resolve => {
+            let timer
+            const onAbort = () => settle(abortedError)
+            const settle = result => {
+                this.#calls.delete(id)
+                clearTimeout(timer)
+                signal?.removeEventListener('abort', onAbort)
+                resolve(result)
+            }
+            if (timeout !== undefined) {
+                timer = setTimeout(() => settle(timeoutError), timeout)
+            }
+            signal?.addEventListener('abort', onAbort, { once: true })
+            this.#calls.set(id, { name, settle })
+            this.send({ type: 'call', id, name, input })
+        })
+    }
+}
+
+
 export function connectWebSocketEndpoint(
     schema,
     endpointName,
     {
         host = location.host,
         tls = location.protocol === 'https:',
+        params,
+        reconnect,
+        transport,
         signal
     } = {}
 ) {
@@ -245,10 +1344,12 @@ export function connectWebSocketEndpoint(
         return abortedError
     }
 
+    const url = `${tls ? 'wss' : 'ws'}://${host}${buildEndpointPath(schema, endpointName, params)}`
+    const Socket = transport?.WebSocket ?? WebSocket
+    const connect = () => new Socket(url)
+
     return new Promise(resolve => {
-        const socket = new WebSocket(
-            `${tls ? 'wss' : 'ws'}://${host}${schema.prefix}${endpointName}`
-        )
+        const socket = connect()
 
         const onAbort = () => socket.close()
 
@@ -260,10 +1361,17 @@ export function connectWebSocketEndpoint(
         }
 
         const onOpen = () => {
+            signal?.removeEventListener('abort', onAbort)
             socket.removeEventListener('close', onClose)
             socket.removeEventListener('open', onOpen)
             const endpoint = schema.endpoints[endpointName]
-            const wrapper = new ValidatedWebSocket(socket, endpoint.websocket.down)
+            const options = { reconnect, connect, signal }
+            const wrapper = isRPCCommunication(endpoint.websocket)
+                ? new RPCWebSocket(socket, endpoint.websocket, options)
+                : new ValidatedWebSocket(socket, endpoint.websocket.down, {
+                    ...options,
+                    up: endpoint.websocket.up
+                })
             resolve(ok(wrapper))
         }
 
@@ -272,3 +1380,493 @@ export function connectWebSocketEndpoint(
         socket.addEventListener('open', onOpen)
     })
 }
+
+
+// follows the event stream interpretation rules, calling onEvent as each
+// event is dispatched. data is undefined for events without any, which only
+// update the last event ID
+function createEventStreamParser(onEvent, onRetry) {
+    let buffer = ''
+    let type = ''
+    let data = []
+    let id
+
+    const processLine = line => {
+        if (line === '') {
+            onEvent({
+                event: type === '' ? 'message' : type,
+                data: data.length === 0 ? undefined : data.join('\n'),
+                id
+            })
+            type = ''
+            data = []
+            return
+        }
+        if (line.startsWith(':')) {
+            return
+        }
+        const colon = line.indexOf(':')
+        let field = line
+        let value = ''
+        if (colon !== -1) {
+            field = line.slice(0, colon)
+            value = line.slice(colon + 1)
+            if (value.startsWith(' ')) {
+                value = value.slice(1)
+            }
+        }
+        switch (field) {
+            case 'event':
+                type = value
+                break
+            case 'data':
+                data.push(value)
+                break
+            case 'id':
+                if (!value.includes('\0')) {
+                    id = value
+                }
+                break
+            case 'retry':
+                if (/^\d+$/.test(value)) {
+                    onRetry(Number(value))
+                }
+                break
+        }
+    }
+
+    return chunk => {
+        buffer += chunk
+        // a trailing carriage return may be the first half of a CRLF
+        const end = buffer.endsWith('\r')
+            ? buffer.length - 1
+            : buffer.length
+        const lines = buffer.slice(0, end).split(/\r\n|\r|\n/)
+        buffer = lines.pop() + buffer.slice(end)
+        for (const line of lines) {
+            processLine(line)
+        }
+    }
+}
+
+
+function validateServerSentEvent({ event, data, id }, definition) {
+    const validator = event === 'message'
+        ? definition.data
+        : definition.events?.[event]
+    if (validator === undefined) {
+        return error({ tag: 'UnknownEvent', event, data })
+    }
+    let json
+    try {
+        json = parseJSONString(data)
+    }
+    catch {
+        return error({ tag: 'NonJSONEvent', event, data })
+    }
+    const result = validator.validate(json)
+    if (!result.success) {
+        return error({ tag: 'InvalidEvent', event, data: json, result })
+    }
+    return ok({ event, data: result.value, id })
+}
+
+
+// responses after the first are only retried after network failures, as
+// any other error will not go away by itself
+const reconnectableErrors = new Set([ 'NetworkError', 'Timeout' ])
+
+
+export class EventSubscription extends EventTarget {
+    #reader
+    #messageListeners
+    #reconnect
+    #connect
+    #controller
+    #closed
+    #attempt
+    #timer
+    #connectionState
+    #lastEventID
+    #retry
+
+    constructor(response, definition, { reconnect, connect, signal } = {}) {
+        super()
+        this.definition = definition
+        this.#messageListeners = new Map()
+        this.#reconnect = getReconnectPolicy(reconnect)
+        this.#connect = connect
+        this.#controller = new AbortController()
+        this.#closed = false
+        this.#attempt = 0
+        this.#connectionState = 'open'
+
+        if (this.#reconnect !== undefined && connect === undefined) {
+            throw new Error('Reconnecting requires a connect function')
+        }
+
+        signal?.addEventListener('abort', () => this.close(), { once: true })
+        // deferred to a later task so that listeners added as soon as
+        // subscribeEndpoint resolves still receive the first events
+        setTimeout(() => this.#read(response))
+    }
+
+    #setConnectionState(state) {
+        this.#connectionState = state
+        this.dispatchEvent(new Event(state))
+    }
+
+    #onEvent = event => {
+        this.#lastEventID = event.id
+        if (event.data === undefined) {
+            return
+        }
+        const result = validateServerSentEvent(event, this.definition)
+        this.dispatchEvent(new ValidatedMessageEvent(result))
+    }
+
+    #onRetry = retry => {
+        this.#retry = retry
+    }
+
+    async #read(response) {
+        if (this.#closed) {
+            response.body?.cancel().catch(() => {})
+            this.#finish()
+            return
+        }
+        if (response.body !== null) {
+            const reader = response.body.getReader()
+            this.#reader = reader
+            const decoder = new TextDecoder()
+            const parse = createEventStreamParser(this.#onEvent, this.#onRetry)
+            try {
+                while (true) {
+                    const { done, value } = await reader.read()
+                    if (done) {
+                        break
+                    }
+                    parse(decoder.decode(value, { stream: true }))
+                }
+            }
+            catch {
+                // treated the same as the server ending the stream
+            }
+            this.#reader = undefined
+        }
+        this.#onEnd()
+    }
+
+    #onEnd() {
+        if (
+            this.#closed
+            || this.#reconnect === undefined
+            || this.#attempt >= this.#reconnect.count
+        ) {
+            this.#finish()
+            return
+        }
+        // the server's requested delay replaces the backoff, as with EventSource
+        const retry = this.#retry
+        const delay = retry ?? getBackoffDelay(this.#reconnect, this.#attempt)
+        this.#attempt++
+        this.#connectionState = 'reconnecting'
+        this.dispatchEvent(new ReconnectingEvent(this.#attempt, delay))
+        this.#timer = setTimeout(
+            async () => {
+                this.#timer = undefined
+                this.#setConnectionState('connecting')
+                const result = await this.#connect(
+                    this.#lastEventID,
+                    this.#controller.signal
+                )
+                if (this.#closed) {
+                    if (result.ok) {
+                        result.value.body?.cancel().catch(() => {})
+                    }
+                    this.#finish()
+                    return
+                }
+                if (!result.ok) {
+                    if (reconnectableErrors.has(result.value.tag)) {
+                        this.#onEnd()
+                    }
+                    else {
+                        this.#finish()
+                    }
+                    return
+                }
+                this.#attempt = 0
+                this.#setConnectionState('open')
+                this.#read(result.value)
+            },
+            delay
+        )
+    }
+
+    #finish() {
+        this.#closed = true
+        this.#setConnectionState('closed')
+    }
+
+    addMessageListener(listener) {
+        if (this.#messageListeners.has(listener)) {
+            return
+        }
+        const wrapped = event => listener(event.result)
+        this.#messageListeners.set(listener, wrapped)
+        this.addEventListener('validated-message', wrapped)
+    }
+
+    removeMessageListener(listener) {
+        const wrapped = this.#messageListeners.get(listener)
+        if (wrapped === undefined) {
+            return
+        }
+        this.#messageListeners.delete(listener)
+        this.removeEventListener('validated-message', wrapped)
+    }
+
+    close() {
+        if (this.#closed) {
+            return
+        }
+        this.#closed = true
+        this.#controller.abort()
+        if (this.#reader !== undefined) {
+            // finishes once the read loop ends
+            this.#reader.cancel().catch(() => {})
+            return
+        }
+        if (this.#timer !== undefined) {
+            clearTimeout(this.#timer)
+            this.#timer = undefined
+            this.#finish()
+        }
+        // otherwise reading has yet to start or a reconnection request is in
+        // flight, and either finishes once it gets going
+    }
+
+    get connectionState() {
+        return this.#connectionState
+    }
+
+    get lastEventID() {
+        return this.#lastEventID
+    }
+}
+
+
+// checks that a response is an event stream, parsing responses under other
+// statuses declared by the schema into an EventStreamRefused error
+async function openEventStream(responses, response, signal) {
+    const definition = responses[response.status]
+    let res = definition
+    if (res?.type === 'negotiated') {
+        res = res.json
+    }
+    if (isProblemResponse(response)) {
+        return parseProblemResponse(response, signal)
+    }
+    if (res === undefined) {
+        response.body?.cancel().catch(() => {})
+        return error({ tag: 'UnexpectedStatus', response })
+    }
+    if (res.type !== 'sse') {
+        const result = await parseResponseWithHeaders(
+            definition,
+            res,
+            response,
+            { signal }
+        )
+        if (!result.ok) {
+            return result
+        }
+        return error({ tag: 'EventStreamRefused', ...result.value })
+    }
+    const contentType = response.headers.get('Content-Type')
+    const parsed = contentType === null
+        ? undefined
+        : parseCharSetContentTypeHeader(contentType)
+    if (parsed?.type !== 'text/event-stream') {
+        response.body?.cancel().catch(() => {})
+        return unexpectedContentTypeError(response)
+    }
+    return ok(response)
+}
+
+
+export async function subscribeEndpoint(
+    schema,
+    endpoint,
+    {
+        input,
+        params,
+        signal,
+        timeout = schema.timeout,
+        reconnect = true,
+        baseURL = '',
+        headers,
+        token,
+        transport,
+        interceptors: clientInterceptors
+    } = {}
+) {
+    if (signal?.aborted) {
+        return abortedError
+    }
+
+    const endpointDefinition = schema.endpoints[endpoint]
+    const { responses } = endpointDefinition
+    const interceptors = getInterceptors(schema, clientInterceptors)
+    const definition = Object.values(responses).find(res => res.type === 'sse')
+    if (definition === undefined) {
+        throw new Error('Endpoint has no event stream response')
+    }
+
+    const fetch = transport?.fetch ?? globalThis.fetch
+    const connect = async (lastEventID, connectSignal) => {
+        // credentials are prepared again for each attempt so that a token
+        // function can supply a refreshed token
+        const { url, init } = await prepareRequest(schema, endpoint, {
+            input,
+            params,
+            files: undefined,
+            baseURL,
+            headers,
+            token
+        })
+        init.headers['Accept'] = 'text/event-stream'
+        if (lastEventID !== undefined) {
+            init.headers['Last-Event-ID'] = lastEventID
+        }
+        // only request interceptors apply, as a stream has no single
+        // response or error to hand over
+        const request = await runRequestInterceptors(
+            interceptors,
+            { url, init },
+            { schema, endpoint, replays: 0 }
+        )
+        const result = await fetchWithTimeout(
+            fetch,
+            request.url,
+            request.init,
+            timeout,
+            connectSignal
+        )
+        if (!result.ok) {
+            return result
+        }
+        return openEventStream(responses, result.value, connectSignal)
+    }
+
+    const result = await connect(undefined, signal)
+    if (!result.ok) {
+        return result
+    }
+    return ok(new EventSubscription(
+        result.value,
+        definition,
+        { reconnect, connect, signal }
+    ))
+}
+
+
+function getChildSegments(names, prefix) {
+    const children = new Set()
+    for (const name of names) {
+        let rest
+        if (prefix === '') {
+            rest = name
+        }
+        else if (name.startsWith(`${prefix}/`)) {
+            rest = name.slice(prefix.length + 1)
+        }
+        else {
+            continue
+        }
+        children.add(rest.split('/', 1)[0])
+    }
+    return children
+}
+
+
+function buildClientNode(names, prefix, createMethod) {
+    const node = names.includes(prefix)
+        ? createMethod(prefix)
+        : {}
+    for (const segment of getChildSegments(names, prefix)) {
+        const name = prefix === '' ? segment : `${prefix}/${segment}`
+        // defined rather than assigned as segments like 'name' and 'length'
+        // are read-only properties of function nodes
+        Object.defineProperty(node, segment, {
+            value: buildClientNode(names, name, createMethod),
+            enumerable: true
+        })
+    }
+    return node
+}
+
+
+export function createClient(
+    schema,
+    {
+        baseURL,
+        host,
+        tls,
+        signal,
+        headers,
+        token,
+        timeout,
+        retry,
+        transport,
+        interceptors,
+        maxReplays,
+        cache,
+        instrumentation
+    } = {}
+) {
+    const createMethod = name => {
+        const endpoint = schema.endpoints[name]
+        if (Object.values(endpoint.responses).some(res => res.type === 'sse')) {
+            return {
+                subscribe: args => subscribeEndpoint(schema, name, {
+                    baseURL,
+                    signal,
+                    token,
+                    timeout,
+                    transport,
+                    interceptors,
+                    ...args,
+                    headers: { ...headers, ...args?.headers }
+                })
+            }
+        }
+        if ('websocket' in endpoint) {
+            return {
+                connect: args => connectWebSocketEndpoint(schema, name, {
+                    host,
+                    tls,
+                    signal,
+                    transport,
+                    ...args
+                })
+            }
+        }
+        return args => fetchEndpoint(schema, name, {
+            baseURL,
+            signal,
+            token,
+            timeout,
+            retry,
+            transport,
+            interceptors,
+            maxReplays,
+            cache,
+            instrumentation,
+            ...args,
+            headers: { ...headers, ...args?.headers }
+        })
+    }
+    return buildClientNode(Object.keys(schema.endpoints), '', createMethod)
+}
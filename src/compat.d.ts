@@ -0,0 +1,29 @@
+import type { Schema } from './schema.js'
+
+
+export type SchemaChange = {
+    /** Whether clients built against the previous schema may fail. */
+    breaking: boolean
+    /**
+     * Keys leading to what changed, such as
+     * `['endpoints', 'users/:id', 'responses', '200', 'data', 'name']`.
+     * Array elements appear as `'[]'`.
+     */
+    path: string[]
+    description: string
+}
+
+
+/**
+ * Runtypes are compared structurally, so those from separately built copies
+ * of a schema compare as equal. Constraints can't be compared, so are only
+ * treated as unchanged when the same constraint function is used. Adapted
+ * validators can't be inspected, so any change to their JSON Schema, or to
+ * one without a JSON Schema, is treated as breaking.
+ */
+export declare function compareSchemas(previous: Schema, next: Schema): SchemaChange[]
+
+export declare function formatSchemaChange(change: SchemaChange): string
+
+/** Throws listing every breaking change, for use from tests. */
+export declare function assertCompatibleSchemas(previous: Schema, next: Schema): void
@@ -0,0 +1,878 @@
+import { String as Str } from 'runtypes'
+
+import {
+    isRPCCommunication,
+    normaliseMessage,
+    resolveAuthStrategy
+} from './shared.js'
+
+
+function literalType(value) {
+    return value === null
+        ? 'null'
+        : typeof value
+}
+
+
+const primitiveTags = new Set([
+    'boolean',
+    'number',
+    'bigint',
+    'string',
+    'symbol',
+    'function'
+])
+
+
+function isOptionalField(reflect, key) {
+    return reflect.isPartial || reflect.fields[key].reflect.tag === 'optional'
+}
+
+
+function unwrapOptional(runtype) {
+    return runtype.reflect.tag === 'optional'
+        ? runtype.reflect.underlying
+        : runtype
+}
+
+
+function isRecordSubset(from, to, seen) {
+    for (const key of Object.keys(to.fields)) {
+        if (!(key in from.fields)) {
+            if (!isOptionalField(to, key)) {
+                return false
+            }
+            continue
+        }
+        if (isOptionalField(from, key) && !isOptionalField(to, key)) {
+            return false
+        }
+        const fromField = unwrapOptional(from.fields[key])
+        const toField = unwrapOptional(to.fields[key])
+        if (!isSubset(fromField.reflect, toField.reflect, seen)) {
+            return false
+        }
+    }
+    return true
+}
+
+
+function isSameDictionaryKey(from, to) {
+    if (typeof from === 'string' || typeof to === 'string') {
+        return from === to
+    }
+    return isSubset(from.reflect, to.reflect, new Map())
+}
+
+
+function isStructuralSubset(from, to, seen) {
+    switch (to.tag) {
+        case 'unknown':
+        case 'void':
+            return true
+        case 'union':
+            // a boolean is the union of its two literals
+            if (from.tag === 'boolean') {
+                return [ true, false ].every(value =>
+                    to.alternatives.some(({ reflect }) =>
+                        reflect.tag === 'literal' && reflect.value === value
+                    )
+                )
+            }
+            return to.alternatives.some(({ reflect }) => isSubset(from, reflect, seen))
+        case 'intersect':
+            return to.intersectees.every(({ reflect }) => isSubset(from, reflect, seen))
+        case 'brand':
+            return isSubset(from, to.entity.reflect, seen)
+        case 'constraint':
+            // constraints are opaque, so are only known to hold if the same
+            // constraint was already applied
+            return from.tag === 'constraint'
+                && from.constraint === to.constraint
+                && isSubset(from.underlying.reflect, to.underlying.reflect, seen)
+    }
+
+    switch (from.tag) {
+        case 'literal':
+            return to.tag === 'literal'
+                ? Object.is(from.value, to.value)
+                : to.tag === literalType(from.value)
+        case 'template':
+            return to.tag === 'string'
+        case 'array':
+            return to.tag === 'array'
+                && isSubset(from.element.reflect, to.element.reflect, seen)
+        case 'tuple':
+            if (to.tag === 'array') {
+                return from.components.every(({ reflect }) =>
+                    isSubset(reflect, to.element.reflect, seen)
+                )
+            }
+            return to.tag === 'tuple'
+                && from.components.length === to.components.length
+                && from.components.every(({ reflect }, index) =>
+                    isSubset(reflect, to.components[index].reflect, seen)
+                )
+        case 'record':
+            if (to.tag === 'dictionary') {
+                return to.key === 'string'
+                    && Object.keys(from.fields).every(key =>
+                        isSubset(
+                            unwrapOptional(from.fields[key]).reflect,
+                            to.value.reflect,
+                            seen
+                        )
+                    )
+            }
+            return to.tag === 'record' && isRecordSubset(from, to, seen)
+        case 'dictionary':
+            return to.tag === 'dictionary'
+                && isSameDictionaryKey(from.key, to.key)
+                && isSubset(from.value.reflect, to.value.reflect, seen)
+        case 'instanceof':
+            return to.tag === 'instanceof'
+                && (from.ctor === to.ctor || from.ctor.prototype instanceof to.ctor)
+        default:
+            return primitiveTags.has(from.tag) && from.tag === to.tag
+    }
+}
+
+
+// whether every value accepted by one runtype is accepted by the other. Where
+// that can't be worked out it is assumed not to be, so changes are reported
+// rather than missed
+function isSubset(from, to, seen) {
+    if (from === to) {
+        return true
+    }
+    // recursive lazy runtypes are assumed to hold when revisited part way
+    // through comparing them, as any difference will be found elsewhere
+    let targets = seen.get(from)
+    if (targets?.has(to)) {
+        return true
+    }
+    if (targets === undefined) {
+        targets = new Set()
+        seen.set(from, targets)
+    }
+    targets.add(to)
+    try {
+        switch (from.tag) {
+            case 'never':
+                return true
+            case 'union':
+                return from.alternatives.every(({ reflect }) => isSubset(reflect, to, seen))
+            case 'intersect':
+                if (from.intersectees.some(({ reflect }) => isSubset(reflect, to, seen))) {
+                    return true
+                }
+                break
+            case 'optional':
+                return isSubset(from.underlying.reflect, to, seen)
+            case 'brand':
+                return isSubset(from.entity.reflect, to, seen)
+            case 'constraint':
+                if (isSubset(from.underlying.reflect, to, seen)) {
+                    return true
+                }
+                break
+        }
+        return isStructuralSubset(from, to, seen)
+    }
+    finally {
+        targets.delete(to)
+    }
+}
+
+
+function isRuntypeSubset(from, to) {
+    return isSubset(from.reflect, to.reflect, new Map())
+}
+
+
+// requests flow from previous clients to the next server, so the next runtype
+// must accept everything the previous did. Responses flow the other way
+const directions = {
+    request: {
+        breaking: 'Type changed to reject values previous clients may send',
+        compatible: 'Type widened to accept more values',
+        isCompatible: (previous, next) => isRuntypeSubset(previous, next)
+    },
+    response: {
+        breaking: 'Type changed to allow values previous clients will reject',
+        compatible: 'Type narrowed to fewer values',
+        isCompatible: (previous, next) => isRuntypeSubset(next, previous)
+    }
+}
+
+
+function compareRecordFields(previous, next, path, direction, changes, ancestors) {
+    const request = direction === directions.request
+    for (const key of Object.keys(previous.fields)) {
+        if (key in next.fields) {
+            continue
+        }
+        // extra fields are ignored by validation, so previous clients sending
+        // one is harmless
+        const breaking = !request && !isOptionalField(previous, key)
+        changes.push({
+            breaking,
+            path: [ ...path, key ],
+            description: 'Field removed'
+        })
+    }
+    for (const key of Object.keys(next.fields)) {
+        const fieldPath = [ ...path, key ]
+        if (!(key in previous.fields)) {
+            changes.push({
+                breaking: request && !isOptionalField(next, key),
+                path: fieldPath,
+                description: isOptionalField(next, key)
+                    ? 'Optional field added'
+                    : 'Required field added'
+            })
+            continue
+        }
+        const previousOptional = isOptionalField(previous, key)
+        const nextOptional = isOptionalField(next, key)
+        if (previousOptional !== nextOptional) {
+            changes.push({
+                breaking: request ? !nextOptional : nextOptional,
+                path: fieldPath,
+                description: nextOptional
+                    ? 'Field made optional'
+                    : 'Field made required'
+            })
+        }
+        compareRuntypes(
+            unwrapOptional(previous.fields[key]),
+            unwrapOptional(next.fields[key]),
+            fieldPath,
+            direction,
+            changes,
+            ancestors
+        )
+    }
+}
+
+
+// adapted validators can't be inspected, so are only known to be unchanged
+// when they are the same validator or describe the same JSON Schema
+function isSameValidator(previous, next) {
+    if (previous === next) {
+        return true
+    }
+    if (previous.toJSONSchema === undefined || next.toJSONSchema === undefined) {
+        return false
+    }
+    return JSON.stringify(previous.toJSONSchema()) === JSON.stringify(next.toJSONSchema())
+}
+
+
+// records and arrays are descended into so changes are reported against the
+// field that changed, rather than the runtype as a whole
+function compareRuntypes(previous, next, path, direction, changes, ancestors = []) {
+    const { reflect: previousReflect } = previous
+    const { reflect: nextReflect } = next
+    if (previousReflect === undefined || nextReflect === undefined) {
+        if (!isSameValidator(previous, next)) {
+            changes.push({
+                breaking: true,
+                path,
+                description: 'Validator changed, so cannot be compared'
+            })
+        }
+        return
+    }
+    // recursive lazy runtypes stop being descended into once they repeat
+    if (ancestors.some(([ previousAncestor, nextAncestor ]) =>
+        previousAncestor === previousReflect && nextAncestor === nextReflect
+    )) {
+        return
+    }
+    ancestors = [ ...ancestors, [ previousReflect, nextReflect ] ]
+    if (
+        previousReflect.tag === 'record'
+        && nextReflect.tag === 'record'
+        && previousReflect.isPartial === nextReflect.isPartial
+    ) {
+        compareRecordFields(previousReflect, nextReflect, path, direction, changes, ancestors)
+        return
+    }
+    if (previousReflect.tag === 'array' && nextReflect.tag === 'array') {
+        compareRuntypes(
+            previousReflect.element,
+            nextReflect.element,
+            [ ...path, '[]' ],
+            direction,
+            changes,
+            ancestors
+        )
+        return
+    }
+    const compatible = direction.isCompatible(previous, next)
+    if (compatible && direction.isCompatible(next, previous)) {
+        return
+    }
+    changes.push({
+        breaking: !compatible,
+        path,
+        description: compatible
+            ? direction.compatible
+            : direction.breaking
+    })
+}
+
+
+// bare runtypes are JSON messages, and text messages without a runtype
+// accept any string
+function compareMessages(previous, next, path, direction, changes) {
+    previous = normaliseMessage(previous)
+    next = normaliseMessage(next)
+    if (previous.type !== next.type) {
+        changes.push({
+            breaking: true,
+            path: [ ...path, 'type' ],
+            description: `Message type changed from ${previous.type} to ${next.type}`
+        })
+        return
+    }
+    switch (next.type) {
+        case 'json':
+            compareRuntypes(previous.data, next.data, [ ...path, 'data' ], direction, changes)
+            break
+        case 'text':
+            if (previous.data !== undefined || next.data !== undefined) {
+                compareRuntypes(
+                    previous.data ?? Str,
+                    next.data ?? Str,
+                    [ ...path, 'data' ],
+                    direction,
+                    changes
+                )
+            }
+            break
+        case 'mixed':
+            compareMessages(previous.text, next.text, [ ...path, 'text' ], direction, changes)
+            break
+    }
+}
+
+
+function compareRepresentation(previous, next, path, changes) {
+    if (previous.type !== next.type) {
+        changes.push({
+            breaking: true,
+            path: [ ...path, 'type' ],
+            description: `Response type changed from ${previous.type} to ${next.type}`
+        })
+        return
+    }
+    switch (next.type) {
+        case 'json':
+            compareRuntypes(previous.data, next.data, [ ...path, 'data' ], directions.response, changes)
+            break
+        case 'binary':
+            compareRuntypes(
+                previous.mimetype,
+                next.mimetype,
+                [ ...path, 'mimetype' ],
+                directions.response,
+                changes
+            )
+            break
+        case 'negotiated':
+            for (const representation of [ 'html', 'json' ]) {
+                const representationPath = [ ...path, representation ]
+                if (previous[representation] === undefined) {
+                    if (next[representation] !== undefined) {
+                        changes.push({
+                            breaking: false,
+                            path: representationPath,
+                            description: 'Representation added'
+                        })
+                    }
+                }
+                else if (next[representation] === undefined) {
+                    changes.push({
+                        breaking: true,
+                        path: representationPath,
+                        description: 'Representation removed'
+                    })
+                }
+                else {
+                    compareRepresentation(
+                        previous[representation],
+                        next[representation],
+                        representationPath,
+                        changes
+                    )
+                }
+            }
+            break
+        case 'sse': {
+            compareRuntypes(previous.data, next.data, [ ...path, 'data' ], directions.response, changes)
+            const previousEvents = previous.events ?? {}
+            const nextEvents = next.events ?? {}
+            for (const event of Object.keys(previousEvents)) {
+                if (!(event in nextEvents)) {
+                    changes.push({
+                        breaking: false,
+                        path: [ ...path, 'events', event ],
+                        description: 'Event type removed'
+                    })
+                }
+            }
+            for (const [ event, data ] of Object.entries(nextEvents)) {
+                const eventPath = [ ...path, 'events', event ]
+                if (event in previousEvents) {
+                    compareRuntypes(previousEvents[event], data, eventPath, directions.response, changes)
+                }
+                else {
+                    changes.push({
+                        breaking: true,
+                        path: eventPath,
+                        description: 'Event type added, which previous clients will reject'
+                    })
+                }
+            }
+            break
+        }
+    }
+}
+
+
+// statuses previous clients don't know of are treated by them as unexpected,
+// so additions are as breaking as removals
+function compareResponses(previous, next, path, changes) {
+    for (const status of Object.keys(previous)) {
+        if (!(status in next)) {
+            changes.push({
+                breaking: true,
+                path: [ ...path, status ],
+                description: 'Response status removed'
+            })
+        }
+    }
+    for (const [ status, response ] of Object.entries(next)) {
+        const statusPath = [ ...path, status ]
+        if (status in previous) {
+            compareRepresentation(previous[status], response, statusPath, changes)
+            compareHeaders(
+                previous[status].headers,
+                response.headers,
+                [ ...statusPath, 'headers' ],
+                directions.response,
+                changes
+            )
+        }
+        else {
+            changes.push({
+                breaking: true,
+                path: statusPath,
+                description: 'Response status added, which previous clients will treat as unexpected'
+            })
+        }
+    }
+}
+
+
+function compareOptionalRuntypes(previous, next, path, changes) {
+    if (previous === undefined) {
+        if (next !== undefined) {
+            changes.push({
+                breaking: true,
+                path,
+                description: 'Added, so previous clients will not send it'
+            })
+        }
+    }
+    else if (next === undefined) {
+        changes.push({
+            breaking: false,
+            path,
+            description: 'Removed, so is ignored if previous clients send it'
+        })
+    }
+    else {
+        compareRuntypes(previous, next, path, directions.request, changes)
+    }
+}
+
+
+// params are sent as part of the path whether validated or not, so a
+// validator only narrows the values which are accepted
+function compareParams(previous, next, path, changes) {
+    if (previous === undefined) {
+        if (next !== undefined) {
+            changes.push({
+                breaking: true,
+                path,
+                description: 'Added, so values previous clients send may be rejected'
+            })
+        }
+    }
+    else if (next === undefined) {
+        changes.push({
+            breaking: false,
+            path,
+            description: 'Removed, so any value previous clients send is accepted'
+        })
+    }
+    else {
+        compareRuntypes(previous, next, path, directions.request, changes)
+    }
+}
+
+
+// undeclared headers and cookies go unvalidated, so only the side which
+// validates them is affected by them being declared or not
+function compareHeaders(previous, next, path, direction, changes) {
+    if (previous === undefined && next === undefined) {
+        return
+    }
+    if (previous !== undefined && next !== undefined) {
+        compareRuntypes(previous, next, path, direction, changes)
+        return
+    }
+    const isRequest = direction === directions.request
+    const validator = isRequest ? next : previous
+    const breaking = validator !== undefined && !validator.guard({})
+    let description
+    if (next === undefined) {
+        description = breaking
+            ? 'Removed, though previous clients require some of them'
+            : 'Removed'
+    }
+    else if (isRequest) {
+        description = breaking
+            ? 'Added with some required, which previous clients will not send'
+            : 'Added'
+    }
+    else {
+        description = 'Added, so is ignored by previous clients'
+    }
+    changes.push({ breaking, path, description })
+}
+
+
+function compareWebSockets(previous, next, path, changes) {
+    const rpc = isRPCCommunication(next)
+    if (isRPCCommunication(previous) !== rpc) {
+        changes.push({
+            breaking: true,
+            path,
+            description: rpc
+                ? 'Messages replaced with RPC calls'
+                : 'RPC calls replaced with messages'
+        })
+    }
+    else if (rpc) {
+        compareRPC(previous, next, path, changes)
+    }
+    else {
+        compareMessages(
+            previous.up,
+            next.up,
+            [ ...path, 'up' ],
+            directions.request,
+            changes
+        )
+        compareMessages(
+            previous.down,
+            next.down,
+            [ ...path, 'down' ],
+            directions.response,
+            changes
+        )
+    }
+}
+
+
+// calls flow like requests, while their outputs, errors and notifications
+// flow like responses. notifications unknown to a client are ignored by it
+function compareRPC(previous, next, path, changes) {
+    const callsPath = [ ...path, 'calls' ]
+    for (const name of Object.keys(previous.calls)) {
+        if (!(name in next.calls)) {
+            changes.push({
+                breaking: true,
+                path: [ ...callsPath, name ],
+                description: 'Call removed, though previous clients may make it'
+            })
+        }
+    }
+    for (const [ name, call ] of Object.entries(next.calls)) {
+        const callPath = [ ...callsPath, name ]
+        if (!(name in previous.calls)) {
+            changes.push({
+                breaking: false,
+                path: callPath,
+                description: 'Call added'
+            })
+            continue
+        }
+        const previousCall = previous.calls[name]
+        compareOptionalRuntypes(previousCall.input, call.input, [ ...callPath, 'input' ], changes)
+        compareRuntypes(
+            previousCall.output,
+            call.output,
+            [ ...callPath, 'output' ],
+            directions.response,
+            changes
+        )
+        if (call.error === undefined) {
+            if (previousCall.error !== undefined) {
+                changes.push({
+                    breaking: false,
+                    path: [ ...callPath, 'error' ],
+                    description: 'Removed, so the call no longer fails'
+                })
+            }
+        }
+        else if (previousCall.error === undefined) {
+            changes.push({
+                breaking: true,
+                path: [ ...callPath, 'error' ],
+                description: 'Added, though previous clients expect the call not to fail'
+            })
+        }
+        else {
+            compareRuntypes(
+                previousCall.error,
+                call.error,
+                [ ...callPath, 'error' ],
+                directions.response,
+                changes
+            )
+        }
+    }
+    const previousNotifications = previous.notifications ?? {}
+    const nextNotifications = next.notifications ?? {}
+    const notificationsPath = [ ...path, 'notifications' ]
+    for (const name of Object.keys(previousNotifications)) {
+        if (!(name in nextNotifications)) {
+            changes.push({
+                breaking: false,
+                path: [ ...notificationsPath, name ],
+                description: 'Notification removed'
+            })
+        }
+    }
+    for (const [ name, data ] of Object.entries(nextNotifications)) {
+        if (name in previousNotifications) {
+            compareRuntypes(
+                previousNotifications[name],
+                data,
+                [ ...notificationsPath, name ],
+                directions.response,
+                changes
+            )
+        }
+        else {
+            changes.push({
+                breaking: false,
+                path: [ ...notificationsPath, name ],
+                description: 'Notification added'
+            })
+        }
+    }
+}
+
+
+// every declared file is required, and each of its properties validated
+function compareFiles(previous = {}, next = {}, path, changes) {
+    for (const file of Object.keys(previous)) {
+        if (!(file in next)) {
+            changes.push({
+                breaking: false,
+                path: [ ...path, file ],
+                description: 'File removed'
+            })
+        }
+    }
+    for (const [ file, definition ] of Object.entries(next)) {
+        const filePath = [ ...path, file ]
+        if (!(file in previous)) {
+            changes.push({
+                breaking: true,
+                path: filePath,
+                description: 'Required file added'
+            })
+            continue
+        }
+        for (const property of [ 'name', 'mimetype', 'size', 'dateModified' ]) {
+            const previousRuntype = previous[file][property]
+            const nextRuntype = definition[property]
+            if (nextRuntype === undefined) {
+                if (previousRuntype !== undefined) {
+                    changes.push({
+                        breaking: false,
+                        path: [ ...filePath, property ],
+                        description: 'No longer validated'
+                    })
+                }
+            }
+            else if (previousRuntype === undefined) {
+                changes.push({
+                    breaking: true,
+                    path: [ ...filePath, property ],
+                    description: 'Now validated, which files previous clients send may fail'
+                })
+            }
+            else {
+                compareRuntypes(
+                    previousRuntype,
+                    nextRuntype,
+                    [ ...filePath, property ],
+                    directions.request,
+                    changes
+                )
+            }
+        }
+    }
+}
+
+
+function isAuthenticated(auth) {
+    return auth === 'required' || auth === 'optional'
+}
+
+
+function isSameAuthStrategy(previous, next) {
+    return previous.type === next.type
+        && previous.cookie === next.cookie
+        && previous.csrfHeader === next.csrfHeader
+        && previous.header === next.header
+}
+
+
+function compareAuth(previousSchema, nextSchema, previous, next, path, changes) {
+    const previousAuth = previous.auth ?? 'none'
+    const nextAuth = next.auth ?? 'none'
+    if (previousAuth !== nextAuth) {
+        changes.push({
+            // a token previous clients sent which is no longer needed is
+            // simply ignored
+            breaking: nextAuth === 'required',
+            path: [ ...path, 'auth' ],
+            description: `Auth changed from ${previousAuth} to ${nextAuth}`
+        })
+    }
+    if (!isAuthenticated(previousAuth) || !isAuthenticated(nextAuth)) {
+        return
+    }
+    const previousStrategy = resolveAuthStrategy(previousSchema, previous)
+    const nextStrategy = resolveAuthStrategy(nextSchema, next)
+    if (!isSameAuthStrategy(previousStrategy, nextStrategy)) {
+        changes.push({
+            breaking: true,
+            path: [ ...path, 'authStrategy' ],
+            description: `Auth strategy changed from ${previousStrategy.type} to ${nextStrategy.type}, so previous clients will send their token where it is not looked for`
+        })
+    }
+}
+
+
+function compareEndpoints(previousSchema, nextSchema, previous, next, path, changes) {
+    const previousMethod = previous.method ?? 'GET'
+    const nextMethod = next.method ?? 'GET'
+    if (previousMethod !== nextMethod) {
+        changes.push({
+            breaking: true,
+            path: [ ...path, 'method' ],
+            description: `Method changed from ${previousMethod} to ${nextMethod}`
+        })
+    }
+    const previousQuery = previous.query ?? 'json'
+    const nextQuery = next.query ?? 'json'
+    if (previousQuery !== nextQuery) {
+        changes.push({
+            breaking: true,
+            path: [ ...path, 'query' ],
+            description: `Query encoding changed from ${previousQuery} to ${nextQuery}`
+        })
+    }
+    compareAuth(previousSchema, nextSchema, previous, next, path, changes)
+    compareParams(previous.params, next.params, [ ...path, 'params' ], changes)
+    compareHeaders(
+        previous.headers,
+        next.headers,
+        [ ...path, 'headers' ],
+        directions.request,
+        changes
+    )
+    compareHeaders(
+        previous.cookies,
+        next.cookies,
+        [ ...path, 'cookies' ],
+        directions.request,
+        changes
+    )
+    compareOptionalRuntypes(previous.input, next.input, [ ...path, 'input' ], changes)
+    compareFiles(previous.files, next.files, [ ...path, 'files' ], changes)
+    compareResponses(previous.responses, next.responses, [ ...path, 'responses' ], changes)
+
+    const webSocketPath = [ ...path, 'websocket' ]
+    if ('websocket' in previous !== 'websocket' in next) {
+        changes.push({
+            breaking: true,
+            path: webSocketPath,
+            description: 'websocket' in next
+                ? 'Endpoint now only accepts WebSocket connections'
+                : 'Endpoint no longer accepts WebSocket connections'
+        })
+    }
+    else if ('websocket' in next) {
+        compareWebSockets(previous.websocket, next.websocket, webSocketPath, changes)
+    }
+}
+
+
+export function compareSchemas(previous, next) {
+    const changes = []
+    if (previous.prefix !== next.prefix) {
+        changes.push({
+            breaking: true,
+            path: [ 'prefix' ],
+            description: `Prefix changed from ${previous.prefix} to ${next.prefix}`
+        })
+    }
+    for (const name of Object.keys(previous.endpoints)) {
+        if (!(name in next.endpoints)) {
+            changes.push({
+                breaking: true,
+                path: [ 'endpoints', name ],
+                description: 'Endpoint removed'
+            })
+        }
+    }
+    for (const [ name, endpoint ] of Object.entries(next.endpoints)) {
+        const path = [ 'endpoints', name ]
+        if (name in previous.endpoints) {
+            compareEndpoints(previous, next, previous.endpoints[name], endpoint, path, changes)
+        }
+        else {
+            changes.push({
+                breaking: false,
+                path,
+                description: 'Endpoint added'
+            })
+        }
+    }
+    return changes
+}
+
+
+export function formatSchemaChange({ breaking, path, description }) {
+    return `${breaking ? 'Breaking' : 'Compatible'}: ${path.join('.')}: ${description}`
+}
+
+
+export function assertCompatibleSchemas(previous, next) {
+    const breaking = compareSchemas(previous, next).filter(change => change.breaking)
+    if (breaking.length !== 0) {
+        const lines = breaking.map(formatSchemaChange)
+        throw new Error(`Schema has breaking changes:\n${lines.join('\n')}`)
+    }
+}
@@ -6,3 +6,12 @@ export type CSRF_HEADER = typeof CSRF_HEADER
 
 export declare const AUTH_COOKIE_NAME: 'auth'
 export type AUTH_COOKIE_NAME = typeof AUTH_COOKIE_NAME
+
+export declare const API_KEY_HEADER: 'X-API-Key'
+export type API_KEY_HEADER = typeof API_KEY_HEADER
+
+export declare const BATCH_PATH: '_batch'
+export type BATCH_PATH = typeof BATCH_PATH
+
+export declare const PROBLEM_MEDIA_TYPE: 'application/problem+json'
+export type PROBLEM_MEDIA_TYPE = typeof PROBLEM_MEDIA_TYPE
@@ -1,3 +1,6 @@
 export const JSON_KEY = 'json'
 export const CSRF_HEADER = 'X-CSRF'
 export const AUTH_COOKIE_NAME = 'auth'
+export const API_KEY_HEADER = 'X-API-Key'
+export const BATCH_PATH = '_batch'
+export const PROBLEM_MEDIA_TYPE = 'application/problem+json'
@@ -0,0 +1,55 @@
+import type { Validator } from './validator.js'
+
+import type { Schema } from './schema.js'
+
+
+export type JSONSchema = boolean | { [key: string]: unknown }
+
+export type OpenAPIInfo = {
+    title: string
+    version: string
+    summary?: string
+    description?: string
+    termsOfService?: string
+    contact?: {
+        name?: string
+        url?: string
+        email?: string
+    }
+    license?: {
+        name: string
+        identifier?: string
+        url?: string
+    }
+}
+
+export type OpenAPIServer = {
+    url: string
+    description?: string
+    variables?: Record<string, {
+        default: string
+        enum?: string[]
+        description?: string
+    }>
+}
+
+export type OpenAPIDocument = {
+    openapi: '3.1.0'
+    info: OpenAPIInfo
+    servers?: OpenAPIServer[]
+    paths: Record<string, Record<string, unknown>>
+    components?: Record<string, unknown>
+}
+
+export type CreateOpenAPIDocumentArguments = {
+    info: OpenAPIInfo
+    servers?: OpenAPIServer[]
+}
+
+
+export declare function runtypeToJSONSchema(runtype: Validator): JSONSchema
+
+export declare function createOpenAPIDocument(
+    schema: Schema,
+    args: CreateOpenAPIDocumentArguments
+): OpenAPIDocument
@@ -0,0 +1,630 @@
+import { STATUS_CODES } from 'node:http'
+
+import { JSON_KEY } from './constants.js'
+import {
+    isRPCCommunication,
+    normaliseMessage,
+    parsePath,
+    resolveAuthStrategy
+} from './shared.js'
+
+
+function literalSchema(value) {
+    if (value === null) {
+        return { type: 'null' }
+    }
+    return { const: value }
+}
+
+
+function unionSchema(alternatives, seen) {
+    alternatives = alternatives.filter(alternative =>
+        alternative.reflect.tag !== 'literal'
+            || alternative.reflect.value !== undefined
+    )
+    if (alternatives.every(alternative => alternative.reflect.tag === 'literal')) {
+        return {
+            enum: alternatives.map(alternative => alternative.reflect.value)
+        }
+    }
+    return {
+        anyOf: alternatives.map(alternative => convertRuntype(alternative, seen))
+    }
+}
+
+
+function recordSchema(reflect, seen) {
+    const properties = {}
+    const required = []
+    for (const [ key, field ] of Object.entries(reflect.fields)) {
+        if (field.reflect.tag === 'optional') {
+            properties[key] = convertRuntype(field.reflect.underlying, seen)
+        }
+        else {
+            properties[key] = convertRuntype(field, seen)
+            if (!reflect.isPartial) {
+                required.push(key)
+            }
+        }
+    }
+    const schema = { type: 'object', properties }
+    if (required.length !== 0) {
+        schema.required = required
+    }
+    return schema
+}
+
+
+function dictionarySchema(reflect, seen) {
+    const schema = {
+        type: 'object',
+        additionalProperties: convertRuntype(reflect.value, seen)
+    }
+    if (typeof reflect.key !== 'string') {
+        schema.propertyNames = convertRuntype(reflect.key, seen)
+    }
+    else if (reflect.key === 'number') {
+        schema.propertyNames = { pattern: '^-?\\d+(\\.\\d+)?$' }
+    }
+    return schema
+}
+
+
+function convertRuntype(runtype, seen) {
+    const { reflect } = runtype
+    // adapted validators can only describe themselves
+    if (reflect === undefined) {
+        return runtype.toJSONSchema?.() ?? {}
+    }
+    // recursive lazy runtypes would otherwise never terminate
+    if (seen.has(reflect)) {
+        return {}
+    }
+    seen.add(reflect)
+    try {
+        switch (reflect.tag) {
+            case 'unknown':
+            case 'void':
+                return {}
+            case 'never':
+                return { not: {} }
+            case 'boolean':
+                return { type: 'boolean' }
+            case 'number':
+                return { type: 'number' }
+            case 'bigint':
+                return { type: 'integer' }
+            case 'string':
+            case 'template':
+                return { type: 'string' }
+            case 'literal':
+                return literalSchema(reflect.value)
+            case 'array':
+                return {
+                    type: 'array',
+                    items: convertRuntype(reflect.element, seen)
+                }
+            case 'tuple':
+                return {
+                    type: 'array',
+                    prefixItems: reflect.components.map(component =>
+                        convertRuntype(component, seen)
+                    ),
+                    items: false,
+                    minItems: reflect.components.length
+                }
+            case 'record':
+                return recordSchema(reflect, seen)
+            case 'dictionary':
+                return dictionarySchema(reflect, seen)
+            case 'union':
+                return unionSchema(reflect.alternatives, seen)
+            case 'intersect':
+                return {
+                    allOf: reflect.intersectees.map(intersectee =>
+                        convertRuntype(intersectee, seen)
+                    )
+                }
+            case 'optional':
+                return convertRuntype(reflect.underlying, seen)
+            case 'constraint':
+                return convertRuntype(reflect.underlying, seen)
+            case 'brand':
+                return convertRuntype(reflect.entity, seen)
+            default:
+                throw new Error(`Runtype '${reflect.tag}' has no JSON Schema representation`)
+        }
+    }
+    finally {
+        seen.delete(reflect)
+    }
+}
+
+
+export function runtypeToJSONSchema(runtype) {
+    return convertRuntype(runtype, new Set())
+}
+
+
+// returns undefined where the runtype is not a literal or union of literals,
+// in which case any mimetype is possible
+function literalStrings(runtype) {
+    const { reflect } = runtype
+    switch (reflect?.tag) {
+        case 'literal':
+            return typeof reflect.value === 'string'
+                ? [ reflect.value ]
+                : undefined
+        case 'union': {
+            const values = []
+            for (const alternative of reflect.alternatives) {
+                const strings = literalStrings(alternative)
+                if (strings === undefined) {
+                    return undefined
+                }
+                values.push(...strings)
+            }
+            return values
+        }
+        case 'constraint':
+            return literalStrings(reflect.underlying)
+        case 'brand':
+            return literalStrings(reflect.entity)
+        default:
+            return undefined
+    }
+}
+
+
+function rpcCallSchema(call) {
+    const schema = { output: runtypeToJSONSchema(call.output) }
+    if (call.input !== undefined) {
+        schema.input = runtypeToJSONSchema(call.input)
+    }
+    if (call.error !== undefined) {
+        schema.error = runtypeToJSONSchema(call.error)
+    }
+    return schema
+}
+
+
+function rpcSchema({ calls, notifications = {} }) {
+    return {
+        calls: Object.fromEntries(
+            Object.entries(calls).map(([ name, call ]) => [ name, rpcCallSchema(call) ])
+        ),
+        notifications: Object.fromEntries(
+            Object.entries(notifications).map(([ name, data ]) =>
+                [ name, runtypeToJSONSchema(data) ]
+            )
+        )
+    }
+}
+
+
+function openAPIPath(prefix, endpointName) {
+    const path = parsePath(prefix + endpointName)
+        .map(segment =>
+            segment.type === 'param'
+                ? `{${segment.name}}`
+                : segment.value
+        )
+        .join('/')
+    return path.startsWith('/') ? path : `/${path}`
+}
+
+
+function paramSchemas(params) {
+    if (params === undefined) {
+        return {}
+    }
+    if (params.reflect === undefined) {
+        return jsonSchemaProperties(params) ?? {}
+    }
+    if (params.reflect.tag !== 'record') {
+        return {}
+    }
+    return Object.fromEntries(
+        Object.entries(params.reflect.fields)
+            .map(([ name, field ]) => [ name, runtypeToJSONSchema(field) ])
+    )
+}
+
+
+function pathParameters(endpointName, endpoint) {
+    const schemas = paramSchemas(endpoint.params)
+    return parsePath(endpointName).flatMap(segment => segment.type === 'param'
+        ? [ {
+            name: segment.name,
+            in: 'path',
+            required: true,
+            schema: schemas[segment.name] ?? { type: 'string' }
+        } ]
+        : [])
+}
+
+
+function authParameters(strategy) {
+    if (strategy?.type !== 'cookie') {
+        return []
+    }
+    return [
+        {
+            name: strategy.csrfHeader,
+            in: 'header',
+            required: true,
+            description: 'Must be present, but may be empty',
+            schema: { type: 'string' }
+        }
+    ]
+}
+
+
+// names are derived from the strategy so endpoints sharing one share a scheme
+function securityScheme(strategy) {
+    switch (strategy.type) {
+        case 'cookie':
+            return [
+                `cookie.${strategy.cookie}`,
+                { type: 'apiKey', in: 'cookie', name: strategy.cookie }
+            ]
+        case 'bearer':
+            return [ 'bearer', { type: 'http', scheme: 'bearer' } ]
+        case 'apiKey':
+            return [
+                `header.${strategy.header}`,
+                { type: 'apiKey', in: 'header', name: strategy.header }
+            ]
+        default:
+            throw new Error('Unexpected auth strategy type')
+    }
+}
+
+
+function authSecurity(auth, schemeName) {
+    switch (auth) {
+        case 'required':
+            return [ { [schemeName]: [] } ]
+        case 'optional':
+            return [ { [schemeName]: [] }, {} ]
+        default:
+            return undefined
+    }
+}
+
+
+function jsonSchemaProperties(validator) {
+    const schema = validator.toJSONSchema?.()
+    return typeof schema?.properties === 'object'
+        ? schema.properties
+        : undefined
+}
+
+
+// adapted validators are described only by their JSON Schema, so their
+// properties are taken as parameters as they are, and those without one
+// can't be documented at all
+function adaptedParameters(validator, location, required) {
+    const schema = validator.toJSONSchema?.()
+    if (typeof schema?.properties !== 'object') {
+        return []
+    }
+    const requiredNames = new Set(schema.required ?? [])
+    return Object.entries(schema.properties).map(([ name, property ]) => ({
+        name,
+        in: location,
+        required: required
+            && requiredNames.has(name)
+            && property.type !== 'array',
+        schema: property
+    }))
+}
+
+
+// nested records are flattened into dotted names, as they are sent in
+// queries
+function recordParameters(runtype, location, prefix, required) {
+    const { reflect } = runtype
+    if (reflect === undefined) {
+        return adaptedParameters(runtype, location, required)
+    }
+    switch (reflect.tag) {
+        case 'record':
+            return Object.entries(reflect.fields).flatMap(([ key, field ]) =>
+                recordParameters(
+                    field,
+                    location,
+                    prefix === undefined ? key : `${prefix}.${key}`,
+                    required && !reflect.isPartial
+                )
+            )
+        case 'intersect':
+            return reflect.intersectees.flatMap(intersectee =>
+                recordParameters(intersectee, location, prefix, required)
+            )
+        case 'optional':
+            return recordParameters(reflect.underlying, location, prefix, false)
+        case 'constraint':
+            return recordParameters(reflect.underlying, location, prefix, required)
+        case 'brand':
+            return recordParameters(reflect.entity, location, prefix, required)
+        default:
+            if (prefix === undefined) {
+                throw new Error(`Runtype '${reflect.tag}' cannot be sent as ${location} parameters`)
+            }
+            return [
+                {
+                    name: prefix,
+                    in: location,
+                    // empty arrays are sent as no params at all
+                    required: required && reflect.tag !== 'array',
+                    schema: runtypeToJSONSchema(runtype)
+                }
+            ]
+    }
+}
+
+
+function queryInputParameters(endpoint) {
+    const { input } = endpoint
+    if (input === undefined) {
+        return []
+    }
+    if (endpoint.query === 'params') {
+        return recordParameters(input, 'query', undefined, true)
+    }
+    return [
+        {
+            name: JSON_KEY,
+            in: 'query',
+            required: true,
+            description: 'The input, encoded as JSON',
+            content: {
+                'application/json': {
+                    schema: runtypeToJSONSchema(input)
+                }
+            }
+        }
+    ]
+}
+
+
+function fileSchema(definition) {
+    const mimetypes = definition.mimetype === undefined
+        ? undefined
+        : literalStrings(definition.mimetype)
+    return {
+        type: 'string',
+        contentMediaType: mimetypes?.length === 1
+            ? mimetypes[0]
+            : 'application/octet-stream'
+    }
+}
+
+
+function multipartRequestBody(files, input) {
+    const properties = {}
+    const encoding = {}
+    for (const [ name, definition ] of Object.entries(files)) {
+        properties[name] = fileSchema(definition)
+        const mimetypes = definition.mimetype === undefined
+            ? undefined
+            : literalStrings(definition.mimetype)
+        if (mimetypes !== undefined) {
+            encoding[name] = { contentType: mimetypes.join(', ') }
+        }
+    }
+    const required = Object.keys(files)
+    if (input !== undefined) {
+        properties[JSON_KEY] = runtypeToJSONSchema(input)
+        encoding[JSON_KEY] = { contentType: 'application/json' }
+        required.push(JSON_KEY)
+    }
+    return {
+        required: true,
+        content: {
+            'multipart/form-data': {
+                schema: { type: 'object', properties, required },
+                encoding
+            }
+        }
+    }
+}
+
+
+function requestBody(endpoint) {
+    if (endpoint.files !== undefined) {
+        return multipartRequestBody(endpoint.files, endpoint.input)
+    }
+    if (endpoint.input === undefined) {
+        return undefined
+    }
+    return {
+        required: true,
+        content: {
+            'application/json': {
+                schema: runtypeToJSONSchema(endpoint.input)
+            }
+        }
+    }
+}
+
+
+function responseContent(response) {
+    switch (response.type) {
+        case 'html':
+            return {
+                'text/html': {
+                    schema: { type: 'string' }
+                }
+            }
+        case 'json':
+            return {
+                'application/json': {
+                    schema: runtypeToJSONSchema(response.data)
+                }
+            }
+        case 'binary': {
+            const mimetypes = literalStrings(response.mimetype) ?? [ '*/*' ]
+            return Object.fromEntries(
+                mimetypes.map(mimetype => [ mimetype, {} ])
+            )
+        }
+        case 'negotiated':
+            return {
+                ...(response.json === undefined ? {} : responseContent(response.json)),
+                ...(response.html === undefined ? {} : responseContent(response.html))
+            }
+        case 'sse':
+            // OpenAPI has no way to describe the events themselves, so their
+            // data schemas are given by event type in an extension
+            return {
+                'text/event-stream': {
+                    schema: { type: 'string' },
+                    'x-events': {
+                        message: runtypeToJSONSchema(response.data),
+                        ...Object.fromEntries(
+                            Object.entries(response.events ?? {})
+                                .map(([ event, data ]) => [ event, runtypeToJSONSchema(data) ])
+                        )
+                    }
+                }
+            }
+        default:
+            throw new Error('Unexpected response type')
+    }
+}
+
+
+function responseHeaders(runtype) {
+    const headers = {}
+    for (const { name, required, schema } of recordParameters(runtype, 'header', undefined, true)) {
+        headers[name] = { required, schema }
+    }
+    return headers
+}
+
+
+function responses(endpoint) {
+    const responses = {}
+    if ('websocket' in endpoint) {
+        responses['101'] = { description: STATUS_CODES[101] }
+    }
+    for (const [ status, response ] of Object.entries(endpoint.responses)) {
+        responses[status] = {
+            description: STATUS_CODES[status] ?? status,
+            content: responseContent(response)
+        }
+        if (response.headers !== undefined) {
+            responses[status].headers = responseHeaders(response.headers)
+        }
+    }
+    return responses
+}
+
+
+function textMessageSchema(message) {
+    if (message.type === 'json') {
+        return runtypeToJSONSchema(message.data)
+    }
+    return message.data === undefined
+        ? { type: 'string' }
+        : runtypeToJSONSchema(message.data)
+}
+
+
+const binaryMessageSchema = {
+    type: 'string',
+    contentMediaType: 'application/octet-stream'
+}
+
+
+function messageSchema(message) {
+    message = normaliseMessage(message)
+    switch (message.type) {
+        case 'json':
+        case 'text':
+            return textMessageSchema(message)
+        case 'binary':
+            return binaryMessageSchema
+        case 'mixed':
+            return {
+                anyOf: [
+                    textMessageSchema(message.text),
+                    binaryMessageSchema
+                ]
+            }
+        default:
+            throw new Error('Unexpected message type')
+    }
+}
+
+
+function operation(endpointName, endpoint, strategy, schemeName) {
+    const method = endpoint.method ?? 'GET'
+    const operation = {
+        operationId: endpointName,
+        parameters: [
+            ...pathParameters(endpointName, endpoint),
+            ...authParameters(strategy),
+            ...(endpoint.headers === undefined
+                ? []
+                : recordParameters(endpoint.headers, 'header', undefined, true)),
+            ...(endpoint.cookies === undefined
+                ? []
+                : recordParameters(endpoint.cookies, 'cookie', undefined, true)),
+            ...(method === 'GET' ? queryInputParameters(endpoint) : [])
+        ],
+        responses: responses(endpoint)
+    }
+    if (method !== 'GET') {
+        const body = requestBody(endpoint)
+        if (body !== undefined) {
+            operation.requestBody = body
+        }
+    }
+    const security = authSecurity(endpoint.auth, schemeName)
+    if (security !== undefined) {
+        operation.security = security
+    }
+    if ('websocket' in endpoint) {
+        operation['x-websocket'] = isRPCCommunication(endpoint.websocket)
+            ? rpcSchema(endpoint.websocket)
+            : {
+                up: messageSchema(endpoint.websocket.up),
+                down: messageSchema(endpoint.websocket.down)
+            }
+    }
+    return [ method.toLowerCase(), operation ]
+}
+
+
+export function createOpenAPIDocument(schema, { info, servers }) {
+    const paths = {}
+    const securitySchemes = {}
+    for (const [ name, endpoint ] of Object.entries(schema.endpoints)) {
+        const path = openAPIPath(schema.prefix, name)
+        let strategy, schemeName
+        if (endpoint.auth === 'required' || endpoint.auth === 'optional') {
+            strategy = resolveAuthStrategy(schema, endpoint)
+            const [ key, scheme ] = securityScheme(strategy)
+            securitySchemes[key] = scheme
+            schemeName = key
+        }
+        const [ method, op ] = operation(name, endpoint, strategy, schemeName)
+        paths[path] ??= {}
+        paths[path][method] = op
+    }
+    const document = {
+        openapi: '3.1.0',
+        info,
+        paths
+    }
+    if (servers !== undefined) {
+        document.servers = servers
+    }
+    if (Object.keys(securitySchemes).length > 0) {
+        document.components = { securitySchemes }
+    }
+    return document
+}
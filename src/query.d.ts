@@ -0,0 +1,168 @@
+import type {
+    Schema as Sch,
+    BodyMethod,
+    WebSocketEndpoint,
+    HasSSEResponse
+} from './schema.js'
+import type {
+    ClientOptions,
+    FetchArguments,
+    FetchResult,
+    Interceptor,
+    InterceptedErrors,
+    URLArguments
+} from './client.js'
+
+
+type OptionalIfEmpty<T> = {} extends T
+    ? [ args?: T ]
+    : [ args: T ]
+
+/** GET endpoints, excluding WebSockets and event streams. */
+export type ExtractQueryEndpointNames<Schema extends Sch> = {
+    [K in keyof Schema['endpoints']]: Schema['endpoints'][K] extends WebSocketEndpoint
+        ? never
+        : Schema['endpoints'][K]['method'] extends BodyMethod
+            ? never
+            : (true extends HasSSEResponse<Schema['endpoints'][K]['responses']> ? never : K)
+}[keyof Schema['endpoints']] & string
+
+export type ExtractMutationEndpointNames<Schema extends Sch> = {
+    [K in keyof Schema['endpoints']]: Schema['endpoints'][K]['method'] extends BodyMethod
+        ? K
+        : never
+}[keyof Schema['endpoints']] & string
+
+export type QueryArguments<
+    Schema extends Sch,
+    Endpoint extends keyof Schema['endpoints'] & string
+> = URLArguments<Endpoint, Schema['endpoints'][Endpoint]>
+
+export type QueryResult<
+    Schema extends Sch,
+    Endpoint extends keyof Schema['endpoints'] & string,
+    Abortable extends boolean,
+    Intercepted = never
+> = FetchResult<
+    Schema['endpoints'][Endpoint]['responses'],
+    Abortable,
+    'json',
+    InterceptedErrors<Schema['interceptors']> | Intercepted
+>
+
+export type QueryListener<T> = (result: T) => void
+
+/**
+ * An endpoint name invalidates every query of that endpoint, while a tuple
+ * invalidates only the query with the same arguments.
+ */
+export type QueryTarget<Schema extends Sch> = {
+    [Endpoint in ExtractQueryEndpointNames<Schema>]:
+        | Endpoint
+        | readonly [ Endpoint, QueryArguments<Schema, Endpoint> ]
+}[ExtractQueryEndpointNames<Schema>]
+
+export type MutateArguments<
+    Schema extends Sch,
+    Endpoint extends keyof Schema['endpoints'] & string
+> =
+    & Omit<
+        FetchArguments<Schema['endpoints'][Endpoint], false, Endpoint>,
+        | 'accept'
+        | 'signal'
+        | 'baseURL'
+        | 'transport'
+        | 'interceptors'
+        | 'cache'
+        | 'instrumentation'
+    >
+    & {
+        /** Invalidated once the mutation succeeds. */
+        invalidates?: ReadonlyArray<QueryTarget<Schema>>
+    }
+
+export type QueryCache<
+    Schema extends Sch,
+    Abortable extends boolean,
+    Intercepted = never
+> = {
+    getKey<Endpoint extends ExtractQueryEndpointNames<Schema>>(
+        endpoint: Endpoint,
+        ...args: OptionalIfEmpty<QueryArguments<Schema, Endpoint>>
+    ): string
+    /** Returns the latest result without fetching, if there is one. */
+    peek<Endpoint extends ExtractQueryEndpointNames<Schema>>(
+        endpoint: Endpoint,
+        ...args: OptionalIfEmpty<QueryArguments<Schema, Endpoint>>
+    ): QueryResult<Schema, Endpoint, Abortable, Intercepted> | undefined
+    /**
+     * Resolves immediately with a successful result if there is one,
+     * revalidating it in the background once stale. Otherwise waits for
+     * the request, shared with any other callers until it completes.
+     */
+    query<Endpoint extends ExtractQueryEndpointNames<Schema>>(
+        endpoint: Endpoint,
+        ...args: OptionalIfEmpty<QueryArguments<Schema, Endpoint>>
+    ): Promise<QueryResult<Schema, Endpoint, Abortable, Intercepted>>
+    /**
+     * Called with each result fetched for the query. Returns a function
+     * which unsubscribes the listener.
+     */
+    subscribe<Endpoint extends ExtractQueryEndpointNames<Schema>>(
+        endpoint: Endpoint,
+        listener: QueryListener<QueryResult<Schema, Endpoint, Abortable, Intercepted>>,
+        ...args: OptionalIfEmpty<QueryArguments<Schema, Endpoint>>
+    ): () => void
+    /**
+     * Marks every query of the endpoint as stale, or only the one with the
+     * given arguments. Queries with subscribers are refetched immediately.
+     */
+    invalidate<Endpoint extends ExtractQueryEndpointNames<Schema>>(
+        endpoint: Endpoint,
+        args?: QueryArguments<Schema, Endpoint>
+    ): void
+    mutate<Endpoint extends ExtractMutationEndpointNames<Schema>>(
+        endpoint: Endpoint,
+        ...args: OptionalIfEmpty<MutateArguments<Schema, Endpoint>>
+    ): Promise<QueryResult<Schema, Endpoint, Abortable, Intercepted>>
+    clear(): void
+}
+
+export type QueryCacheOptions<
+    Abortable extends boolean,
+    Interceptors extends ReadonlyArray<Interceptor<{ tag: string }>> = []
+> = Omit<ClientOptions<Abortable, Interceptors>, 'host' | 'tls'> & {
+    /** Milliseconds before a result is revalidated. Defaults to 0. */
+    staleTime?: number
+    /**
+     * Defaults to 100. Queries being fetched or subscribed to are never
+     * evicted.
+     */
+    maximumEntries?: number
+}
+
+
+/** Keyed by endpoint name and URL, as built by `buildURL`. */
+export declare function getQueryKey<
+    Schema extends Sch,
+    Endpoint extends keyof Schema['endpoints'] & string,
+>(
+    schema: Schema,
+    endpoint: Endpoint,
+    ...args: OptionalIfEmpty<URLArguments<Endpoint, Schema['endpoints'][Endpoint]>>
+): string
+
+export declare function createQueryCache<
+    Schema extends Sch,
+    Interceptors extends ReadonlyArray<Interceptor<{ tag: string }>> = []
+>(
+    schema: Schema,
+    options?: QueryCacheOptions<false, Interceptors>
+): QueryCache<Schema, false, InterceptedErrors<Interceptors>>
+export declare function createQueryCache<
+    Schema extends Sch,
+    Interceptors extends ReadonlyArray<Interceptor<{ tag: string }>> = []
+>(
+    schema: Schema,
+    options: QueryCacheOptions<true, Interceptors>
+): QueryCache<Schema, true, InterceptedErrors<Interceptors>>
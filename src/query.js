@@ -0,0 +1,159 @@
+import { buildURL, fetchEndpoint } from './client.js'
+
+
+export function getQueryKey(schema, endpoint, args) {
+    return `${endpoint} ${buildURL(schema, endpoint, args?.input, args?.params)}`
+}
+
+
+function createQueryEntry(endpoint, args) {
+    return {
+        endpoint,
+        args,
+        result: undefined,
+        pending: undefined,
+        updated: 0,
+        // incremented by each invalidation, so a result fetched before one
+        // is still considered stale even if it arrives after
+        generation: 0,
+        fetchedGeneration: 0,
+        listeners: new Set()
+    }
+}
+
+
+export function createQueryCache(
+    schema,
+    { staleTime = 0, maximumEntries = 100, headers, ...options } = {}
+) {
+    const entries = new Map()
+
+    const isStale = entry =>
+        entry.fetchedGeneration < entry.generation
+        || Date.now() - entry.updated >= staleTime
+
+    // entries being fetched or subscribed to are kept regardless, otherwise
+    // the least recently used are evicted first
+    const evict = () => {
+        for (const [ key, entry ] of entries) {
+            if (entries.size < maximumEntries) {
+                break
+            }
+            if (entry.pending === undefined && entry.listeners.size === 0) {
+                entries.delete(key)
+            }
+        }
+    }
+
+    const getEntry = (endpoint, args) => {
+        const key = getQueryKey(schema, endpoint, args)
+        let entry = entries.get(key)
+        if (entry === undefined) {
+            evict()
+            entry = createQueryEntry(endpoint, args)
+        }
+        else {
+            entries.delete(key)
+        }
+        entries.set(key, entry)
+        return entry
+    }
+
+    const fetchEntry = ({ endpoint, args }) => fetchEndpoint(schema, endpoint, {
+        ...options,
+        headers,
+        input: args?.input,
+        params: args?.params
+    })
+
+    // concurrent callers share the same request
+    const revalidate = entry => {
+        entry.pending ??= (async () => {
+            const { generation } = entry
+            const started = Date.now()
+            let result
+            try {
+                result = await fetchEntry(entry)
+            }
+            finally {
+                entry.pending = undefined
+            }
+            entry.result = result
+            entry.updated = started
+            entry.fetchedGeneration = generation
+            for (const listener of entry.listeners) {
+                listener(result)
+            }
+            if (entry.listeners.size !== 0 && generation < entry.generation) {
+                revalidate(entry)
+            }
+            return result
+        })()
+        return entry.pending
+    }
+
+    const invalidate = (endpoint, args) => {
+        const key = args === undefined
+            ? undefined
+            : getQueryKey(schema, endpoint, args)
+        for (const [ entryKey, entry ] of entries) {
+            if (entry.endpoint !== endpoint || (key !== undefined && entryKey !== key)) {
+                continue
+            }
+            entry.generation++
+            if (entry.listeners.size !== 0) {
+                revalidate(entry)
+            }
+        }
+    }
+
+    return {
+        getKey: (endpoint, args) => getQueryKey(schema, endpoint, args),
+        peek: (endpoint, args) =>
+            entries.get(getQueryKey(schema, endpoint, args))?.result,
+        query: async (endpoint, args) => {
+            if ((schema.endpoints[endpoint].method ?? 'GET') !== 'GET') {
+                throw new Error('Only GET endpoints can be queried')
+            }
+            const entry = getEntry(endpoint, args)
+            // errors are never served stale, as a fresh attempt may well succeed
+            if (!entry.result?.ok) {
+                return revalidate(entry)
+            }
+            if (isStale(entry)) {
+                revalidate(entry).catch(() => {})
+            }
+            return entry.result
+        },
+        subscribe: (endpoint, listener, args) => {
+            const { listeners } = getEntry(endpoint, args)
+            listeners.add(listener)
+            return () => {
+                listeners.delete(listener)
+            }
+        },
+        invalidate,
+        mutate: async (endpoint, mutateArgs) => {
+            const { invalidates = [], ...args } = mutateArgs ?? {}
+            const result = await fetchEndpoint(schema, endpoint, {
+                ...options,
+                ...args,
+                headers: { ...headers, ...args.headers }
+            })
+            if (result.ok) {
+                for (const target of invalidates) {
+                    if (typeof target === 'string') {
+                        invalidate(target)
+                    }
+                    else {
+                        invalidate(...target)
+                    }
+                }
+            }
+            return result
+        },
+        clear: () => {
+            entries.clear()
+        }
+    }
+}
@@ -0,0 +1,34 @@
+import type { Awaitable } from 'fallible'
+
+import type { RateLimitPolicy } from './schema.js'
+
+
+export type RateLimitState = {
+    allowed: boolean
+    limit: number
+    window: number
+    /** Requests left before the limit is reached. */
+    remaining: number
+    /** Milliseconds until the full limit is available again. */
+    reset: number
+    /** Milliseconds until the next request will be allowed, or 0 if allowed. */
+    retryAfter: number
+}
+
+export type RateLimitStore = {
+    /** Counts a request against the key, returning whether it is allowed. */
+    consume(key: string, policy: RateLimitPolicy): Awaitable<RateLimitState>
+}
+
+export type TokenBucket = {
+    consume(): RateLimitState
+}
+
+
+export declare function createTokenBucket(policy: RateLimitPolicy): TokenBucket
+
+/** Only suitable for a single process, as buckets are not shared. */
+export declare function createMemoryRateLimitStore(): RateLimitStore
+
+/** Includes Retry-After if the request was not allowed. */
+export declare function getRateLimitHeaders(state: RateLimitState): Record<string, string>
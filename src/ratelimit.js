@@ -0,0 +1,95 @@
+// buckets start full and refill continuously, so a client may burst up to the
+// limit and then sustain an average of limit requests per window
+function createBucket({ limit, window }, now) {
+    return {
+        limit,
+        window,
+        tokens: limit,
+        updated: now
+    }
+}
+
+
+function refillBucket(bucket, now) {
+    const refilled = (now - bucket.updated) * bucket.limit / bucket.window
+    bucket.tokens = Math.min(bucket.limit, bucket.tokens + refilled)
+    bucket.updated = now
+}
+
+
+function takeToken(bucket, now) {
+    refillBucket(bucket, now)
+    const allowed = bucket.tokens >= 1
+    if (allowed) {
+        bucket.tokens--
+    }
+    const millisecondsPerToken = bucket.window / bucket.limit
+    return {
+        allowed,
+        limit: bucket.limit,
+        window: bucket.window,
+        remaining: Math.floor(bucket.tokens),
+        reset: Math.ceil((bucket.limit - bucket.tokens) * millisecondsPerToken),
+        retryAfter: allowed
+            ? 0
+            : Math.ceil((1 - bucket.tokens) * millisecondsPerToken)
+    }
+}
+
+
+export function createTokenBucket(policy) {
+    const bucket = createBucket(policy, Date.now())
+    return {
+        consume: () => takeToken(bucket, Date.now())
+    }
+}
+
+
+// full buckets hold no state worth keeping, so are dropped every so often
+// rather than growing the map with every key ever seen
+const sweepInterval = 1000
+
+
+export function createMemoryRateLimitStore() {
+    const buckets = new Map()
+    let operations = 0
+
+    const sweep = now => {
+        for (const [ key, bucket ] of buckets) {
+            refillBucket(bucket, now)
+            if (bucket.tokens >= bucket.limit) {
+                buckets.delete(key)
+            }
+        }
+    }
+
+    return {
+        consume: (key, policy) => {
+            const now = Date.now()
+            operations++
+            if (operations % sweepInterval === 0) {
+                sweep(now)
+            }
+            let bucket = buckets.get(key)
+            if (bucket === undefined) {
+                bucket = createBucket(policy, now)
+                buckets.set(key, bucket)
+            }
+            return takeToken(bucket, now)
+        }
+    }
+}
+
+
+export function getRateLimitHeaders(state) {
+    const headers = {
+        'RateLimit-Limit': String(state.limit),
+        'RateLimit-Remaining': String(state.remaining),
+        'RateLimit-Reset': String(Math.ceil(state.reset / 1000)),
+        'RateLimit-Policy': `${state.limit};w=${Math.ceil(state.window / 1000)}`
+    }
+    if (!state.allowed) {
+        headers['Retry-After'] = String(Math.ceil(state.retryAfter / 1000))
+    }
+    return headers
+}
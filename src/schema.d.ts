@@ -1,4 +1,5 @@
-import type { Runtype, Static } from 'runtypes'
+import type { Interceptor } from './client.js'
+import type { Infer, Validator } from './validator.js'
 
 
 export type Status =
@@ -61,49 +62,192 @@ export type HTMLResponse = {
 }
 export type JSONResponse = {
     type: 'json'
-    data: Runtype
+    data: Validator
 }
 export type BinaryResponse = {
     type: 'binary'
-    mimetype: Runtype<string>
+    mimetype: Validator<string>
+    // return a stream on the client rather than buffering into a blob
+    stream?: boolean
 }
 
-export type Response = HTMLResponse | JSONResponse | BinaryResponse
+// served as whichever representation the request's Accept header prefers
+export type NegotiatedResponse = {
+    type: 'negotiated'
+    html?: HTMLResponse
+    json?: JSONResponse
+}
+export type Representation = 'html' | 'json'
+
+// streamed as text/event-stream, with each event's data encoded as JSON
+export type SSEResponse = {
+    type: 'sse'
+    /** Data of events sent without an event type, which arrive as 'message'. */
+    data: Validator
+    /** Data of each named event type. */
+    events?: Record<string, Validator>
+    /** Milliseconds of silence before a heartbeat comment is sent. Defaults to 15000. */
+    heartbeat?: number
+}
+
+export type ServerSentEvent<T extends SSEResponse> =
+    | { event: 'message', data: Infer<T['data']> }
+    | (T['events'] extends Record<string, Validator>
+        ? {
+            [K in keyof T['events'] & string]: {
+                event: K
+                data: Infer<T['events'][K]>
+            }
+        }[keyof T['events'] & string]
+        : never)
+
+/** Values of headers which are not sent are undefined. */
+export type HeadersValidator = Validator<Record<string, string | undefined>>
+
+export type Response = (
+    | HTMLResponse
+    | JSONResponse
+    | BinaryResponse
+    | NegotiatedResponse
+    | SSEResponse
+) & {
+    /**
+     * Checked by the server according to its response validation, and
+     * validated by the client, which returns them alongside the data.
+     */
+    headers?: HeadersValidator
+}
 export type Responses = { [S in Status]?: Response }
 
+export type JSONMessage = {
+    type: 'json'
+    data: Validator
+}
+export type TextMessage = {
+    type: 'text'
+    data?: Validator<string>
+}
+export type BinaryMessage = {
+    type: 'binary'
+}
+export type MixedMessage = {
+    type: 'mixed'
+    text: JSONMessage | TextMessage
+}
+// a bare runtype is shorthand for a JSON message
+export type Message =
+    | Validator
+    | JSONMessage
+    | TextMessage
+    | BinaryMessage
+    | MixedMessage
+
+export type NormalisedMessage<T extends Message> = T extends Validator
+    ? { type: 'json', data: T }
+    : T
+
+type TextMessageData<T extends JSONMessage | TextMessage> = T extends JSONMessage
+    ? Infer<T['data']>
+    : T['data'] extends Validator
+        ? Infer<T['data']>
+        : string
+
+export type MessageData<T extends Message, Binary> = T extends Validator
+    ? Infer<T>
+    : T extends JSONMessage | TextMessage
+        ? TextMessageData<T>
+        : T extends BinaryMessage
+            ? Binary
+            : T extends MixedMessage
+                ? (
+                    | { type: 'binary', data: Binary }
+                    | { type: T['text']['type'], data: TextMessageData<T['text']> }
+                )
+                : never
+
 export type WebSocketCommunication = {
-    // TODO: allow non-JSON messages
-    up: Runtype
-    down: Runtype
+    up: Message
+    down: Message
+}
+
+export type RPCCall = {
+    /** Calls without input are sent none. */
+    input?: Validator
+    output: Validator
+    /** Errors the call's handler may fail with, if any. */
+    error?: Validator
+}
+/**
+ * Request and response calls correlated by ID, plus notifications pushed by
+ * the server, all sent as JSON frames.
+ */
+export type RPCCommunication = {
+    calls: Record<string, RPCCall>
+    notifications?: Record<string, Validator>
 }
 
+export type RPCInput<T extends RPCCall> = T['input'] extends Validator
+    ? Infer<T['input']>
+    : undefined
+export type RPCOutput<T extends RPCCall> = Infer<T['output']>
+export type RPCErrorData<T extends RPCCall> = T['error'] extends Validator
+    ? Infer<T['error']>
+    : never
+
+export type RPCNotificationName<T extends RPCCommunication> =
+    keyof NonNullable<T['notifications']> & string
+export type RPCNotificationData<
+    T extends RPCCommunication,
+    Name extends RPCNotificationName<T>
+> = Infer<NonNullable<T['notifications']>[Name]>
+
 export type BodyMethod = 'PUT' | 'POST' | 'PATCH' | 'DELETE'
 export type GETMethod = 'GET'
 export type Method = BodyMethod | GETMethod
 
 export type Auth = 'required' | 'optional' | 'none'
 
+export type CookieAuthStrategy = {
+    type: 'cookie'
+    /** Cookie holding the token. Defaults to AUTH_COOKIE_NAME. */
+    cookie?: string
+    /** Header that must be present, but may be empty. Defaults to CSRF_HEADER. */
+    csrfHeader?: string
+}
+export type BearerAuthStrategy = {
+    type: 'bearer'
+}
+export type APIKeyAuthStrategy = {
+    type: 'apiKey'
+    /** Header holding the key. Defaults to API_KEY_HEADER. */
+    header?: string
+}
+export type AuthStrategy =
+    | CookieAuthStrategy
+    | BearerAuthStrategy
+    | APIKeyAuthStrategy
+
 
 export type FileDefinition = {
-    name?: Runtype<string>
-    mimetype?: Runtype<string>
-    size?: Runtype<number>
-    dateModified?: Runtype<Date>
+    name?: Validator<string>
+    mimetype?: Validator<string>
+    size?: Validator<number>
+    dateModified?: Validator<Date>
 }
 export type FilesDefinition = Record<string, FileDefinition>
 
 export type File<T extends FileDefinition> =
-    & (T['name'] extends Runtype
-        ? { name: Static<T['name']> }
+    & (T['name'] extends Validator
+        ? { name: Infer<T['name']> }
         : { name: undefined })
-    & (T['mimetype'] extends Runtype
-        ? { mimetype: Static<T['mimetype']> }
+    & (T['mimetype'] extends Validator
+        ? { mimetype: Infer<T['mimetype']> }
         : { mimetype: undefined })
-    & (T['size'] extends Runtype
-        ? { size: Static<T['size']> }
+    & (T['size'] extends Validator
+        ? { size: Infer<T['size']> }
         : { size: undefined })
-    & (T['dateModified'] extends Runtype
-        ? { dateModified: Static<T['dateModified']> }
+    & (T['dateModified'] extends Validator
+        ? { dateModified: Infer<T['dateModified']> }
         : { dateModified: undefined })
     & {
         path: string
@@ -112,16 +256,92 @@ export type Files<T extends FileDefinition> = {
     [K in keyof T]: File<T[K]>
 }
 
+export type Compression = {
+    /** Decode gzip, deflate and brotli request bodies. Defaults to true. */
+    requests?: boolean
+    /** Compress responses according to Accept-Encoding. Defaults to true. */
+    responses?: boolean
+    /** Smallest response body in bytes worth compressing. Defaults to 1024. */
+    minimumSize?: number
+}
+
+export type RateLimitPolicy = {
+    /** Requests allowed per window, which may also be made in a burst. */
+    limit: number
+    /** Milliseconds over which the limit applies. */
+    window: number
+}
+
+export type RateLimitKeyContext = {
+    ip: string | undefined
+    token: string | undefined
+    headers: Record<string, string | string[] | undefined>
+}
+
+export type RateLimit = RateLimitPolicy & {
+    /**
+     * What requests are counted against. Requests with no token, or for
+     * which a function returns undefined, are counted by IP instead.
+     * Requests are counted before they are otherwise checked, so those that
+     * go on to fail still count, except by 'token', which counts them once
+     * authenticated. Defaults to 'ip'.
+     */
+    key?: 'ip' | 'token' | ((context: RateLimitKeyContext) => string | undefined)
+}
+
+// only applied to successful responses of GET endpoints
+export type CachePolicy = {
+    /** Cache-Control directives, such as 'private, max-age=60'. */
+    control?: string
+    /** Request headers that responses vary by, added to the Vary header. */
+    vary?: ReadonlyArray<string>
+    /**
+     * Generate a weak ETag from the body where the handler sets none, so
+     * conditional requests can be answered with a 304. Defaults to true.
+     */
+    etag?: boolean
+}
+
 type EndpointBase = {
     auth?: Auth
-    input?: Runtype
+    /** Overrides the schema's auth strategy. */
+    authStrategy?: AuthStrategy
+    /** Whether requests may be retried. Defaults to true for GET, PUT and DELETE. */
+    idempotent?: boolean
+    params?: Validator<Record<string, string>>
+    /**
+     * Request headers, validated by the names given whatever case they are
+     * sent in. Undeclared headers are not included.
+     */
+    headers?: HeadersValidator
+    /** Request cookies. Undeclared ones are kept, such as the auth cookie. */
+    cookies?: HeadersValidator
+    input?: Validator
     responses: Responses
+    /** Merged over the server's compression config, or false to disable. */
+    compression?: Compression | false
+    rateLimit?: RateLimit
+    cache?: CachePolicy
 }
+/**
+ * How GET input is sent in the URL. 'json' sends it as JSON in a single
+ * param, while 'params' flattens a record into ordinary params, with nested
+ * records as dotted keys and arrays as repeated keys. The server coerces
+ * params into numbers, booleans and the like by the input runtype. Other
+ * validators are given strings and arrays of strings, so must coerce them
+ * themselves.
+ */
+export type QueryEncoding = 'json' | 'params'
+
 export type NonBodyEndpoint = EndpointBase & {
     method?: GETMethod
+    /** Defaults to 'json'. */
+    query?: QueryEncoding
 }
 export type WebSocketEndpoint = NonBodyEndpoint & {
-    websocket: WebSocketCommunication
+    websocket: WebSocketCommunication | RPCCommunication
+    /** Limits the messages each connection may send. */
+    messageRateLimit?: RateLimitPolicy
 }
 export type BodyEndpoint = EndpointBase & {
     method: BodyMethod
@@ -141,9 +361,47 @@ export type ExtractWebSocketEndpoints<T extends Endpoints> = Pick<
     ExtractWebSocketEndpointNames<T>
 >
 
+type PathParamName<Segment extends string> = Segment extends `:${infer Name}`
+    ? Name
+    : never
+export type PathParamNames<Path extends string> = Path extends `${infer Segment}/${infer Rest}`
+    ? PathParamName<Segment> | PathParamNames<Rest>
+    : PathParamName<Path>
+export type HasPathParams<Path extends string> = [ PathParamNames<Path> ] extends [ never ]
+    ? false
+    : true
+export type PathParams<Path extends string, T extends Endpoint> = T['params'] extends Validator
+    ? Infer<T['params']>
+    : Record<PathParamNames<Path>, string>
+
+export type RetryPolicy = {
+    /** Retries after the first attempt. Defaults to 0. */
+    count?: number
+    /** Delay in milliseconds before the first retry. Defaults to 100. */
+    baseDelay?: number
+    /**
+     * Upper bound in milliseconds for any delay. Responses with a longer
+     * `Retry-After` are not retried. Defaults to 10000.
+     */
+    maximumDelay?: number
+    /** Multiplier applied to the delay after each attempt. Defaults to 2. */
+    factor?: number
+    /** Randomise each delay between 0 and its full value. Defaults to true. */
+    jitter?: boolean
+    /** Response statuses to retry. Defaults to 408, 429, 502, 503 and 504. */
+    statuses?: ReadonlyArray<number>
+}
+
 export type Schema = {
     prefix: string
     endpoints: Endpoints
+    /** Milliseconds to wait for each attempt's response headers. */
+    timeout?: number
+    retry?: RetryPolicy
+    /** How endpoints with auth carry their token. Defaults to cookie. */
+    authStrategy?: AuthStrategy
+    /** Client interceptors, run before any given to the client. */
+    interceptors?: ReadonlyArray<Interceptor<{ tag: string }>>
 }
 
 export type FilesData<T extends FilesDefinition> = Record<keyof T, Blob>
@@ -153,9 +411,21 @@ type HasResponse<T extends Responses, R extends Response> = {
         ? true
         : never
 }[keyof T]
-export type HasJSONResponse<T extends Responses> = HasResponse<T, JSONResponse>
-export type HasHTMLResponse<T extends Responses> = HasResponse<T, HTMLResponse>
+export type HasJSONResponse<T extends Responses> = HasResponse<
+    T,
+    JSONResponse | { type: 'negotiated', json: JSONResponse }
+>
+export type HasHTMLResponse<T extends Responses> = HasResponse<
+    T,
+    HTMLResponse | { type: 'negotiated', html: HTMLResponse }
+>
 export type HasBinaryResponse<T extends Responses> = HasResponse<T, BinaryResponse>
+export type HasSSEResponse<T extends Responses> = HasResponse<T, SSEResponse>
+export type HasResponseHeaders<T extends Responses> = {
+    [S in keyof T]: T[S] extends { headers: Validator }
+        ? true
+        : never
+}[keyof T]
 export type HasAnyResponse<T extends Responses> = {
     [S in keyof T]: true
 }[keyof T]
@@ -9,10 +9,10 @@ import type {
     ParseWebSocketHeadersError,
     ParsedWebSocketHeaders
 } from 'fallible-server'
-import type { Runtype, Static } from 'runtypes'
 import type WebSocket from 'ws'
 
 import type { JSON_KEY } from './constants.js'
+import type { RateLimitStore } from './ratelimit.js'
 import type {
     BodyEndpoint,
     Schema as Sch,
@@ -28,13 +28,53 @@ import type {
     Responses,
     Endpoints as EPS,
     JSONResponse,
-    BinaryResponse
+    BinaryResponse,
+    MessageData,
+    Compression,
+    HTMLResponse,
+    NegotiatedResponse,
+    APIKeyAuthStrategy,
+    BearerAuthStrategy,
+    CookieAuthStrategy,
+    SSEResponse,
+    ServerSentEvent,
+    RateLimit,
+    HasPathParams,
+    PathParams,
+    RPCCall,
+    RPCCommunication,
+    RPCInput,
+    RPCOutput,
+    RPCErrorData,
+    RPCNotificationName,
+    RPCNotificationData,
+    WebSocketCommunication
 } from './schema.js'
-import type { WebSocketMessageError as _WebSocketMessageError } from './shared.js'
+import type {
+    WebSocketMessageError as _WebSocketMessageError,
+    PathMismatchError,
+    PathParamsMalformedError,
+    ResolvedAuthStrategy,
+    RPCCallFrame,
+    TraceContext,
+    URLQueryRequiredError,
+    URLQueryMalformedError
+} from './shared.js'
+import type { Infer, ValidationFailure, Validator } from './validator.js'
+
+
+export type {
+    PathMismatchError,
+    PathParamsMalformedError,
+    URLQueryRequiredError,
+    URLQueryMalformedError
+}
 
 
 export interface EndpointHandlerPreStateURLSearchParams {
     get(key: JSON_KEY): string | null
+    /** Read by endpoints whose query encoding is 'params'. */
+    [Symbol.iterator](): Iterator<[ string, string ]>
 }
 
 export interface EndpointHandlerPreStateURL {
@@ -42,6 +82,101 @@ export interface EndpointHandlerPreStateURL {
     searchParams: EndpointHandlerPreStateURLSearchParams
 }
 
+export type ResponseValidationReport =
+    | {
+        tag:
+            | 'InvalidResponseBody'
+            | 'InvalidResponseMimetype'
+            | 'InvalidResponseEvent'
+            | 'InvalidResponseHeaders'
+        endpoint: string
+        status: number
+        value: unknown
+        result: ValidationFailure
+    }
+    | {
+        tag: 'InvalidWebSocketMessage'
+        endpoint: string
+        value: unknown
+        result: ValidationFailure
+    }
+    | {
+        tag: 'InvalidCallOutput' | 'InvalidCallError' | 'InvalidNotification'
+        endpoint: string
+        /** Of the call or notification. */
+        name: string
+        value: unknown
+        result: ValidationFailure
+    }
+
+export type ResponseValidationListener = (report: ResponseValidationReport) => void
+
+/**
+ * Whether responses and WebSocket messages are checked against the schema,
+ * and if so whether invalid ones are only reported or are replaced with a 500
+ * response and dropped respectively. Defaults to off.
+ */
+export type ResponseValidation =
+    | {
+        mode?: 'off' | 'enforce'
+        /** Called with each invalid response or message. Nothing is logged otherwise. */
+        onInvalid?: ResponseValidationListener
+    }
+    | {
+        mode: 'log'
+        /** Required, as nothing else reports invalid responses. Handlers throw without it. */
+        onInvalid: ResponseValidationListener
+    }
+
+/** 'parsing' covers reading and validating the request's input. */
+export type PipelineStage =
+    | 'headers'
+    | 'session'
+    | 'parsing'
+    | 'handler'
+    | 'serialisation'
+
+export type StageEvent = {
+    endpoint: string
+    stage: PipelineStage
+    /** Milliseconds. */
+    duration: number
+    /** Set once the body handler has given a response. */
+    status: number | undefined
+    /**
+     * The tag of the error the stage failed with, or for the handler stage
+     * the error it was given.
+     */
+    error: string | undefined
+    /** From the request's traceparent header. */
+    trace: TraceContext | undefined
+}
+
+export type WebSocketEvent = {
+    endpoint: string
+    uuid: string
+    trace: TraceContext | undefined
+} & (
+    | { type: 'open' }
+    | { type: 'close', code: number, reason: string }
+    /** Messages failing validation or exceeding the message rate limit. */
+    | { type: 'message-rejected', error: string }
+    /** RPC calls which reached a handler, once the handler has finished. */
+    | {
+        type: 'call'
+        name: string
+        duration: number
+        error: string | undefined
+        /** What the handler threw, where the error is InternalCallError. */
+        exception?: unknown
+    }
+)
+
+export type Instrumentation = {
+    onStage?: (event: StageEvent) => void
+    onWebSocket?: (event: WebSocketEvent) => void
+}
+
 export type EndpointHandlerPreState = {
     url: EndpointHandlerPreStateURL
     cookies: Record<string, string>
@@ -58,6 +193,10 @@ export type EndpointHandlerPreState = {
         json?: {
             maximumSize?: number
         }
+        compression?: Compression | false
+        responseValidation?: ResponseValidation
+        rateLimitStore?: RateLimitStore
+        instrumentation?: Instrumentation
     }
 }
 
@@ -121,16 +260,58 @@ export interface ValidatedWebSocket<In, Out> extends WebSocket {
     off(event: string | symbol, listener: (this: WebSocket, ...args: any[]) => void): this
 }
 
-export type WebSocketCallback<In, Out> = (uuid: string, socket: ValidatedWebSocket<In, Out>) => Awaitable<void>
+export type RPCHandlerContext = {
+    /** Chosen by the client, so only unique per connection. */
+    id: number
+    uuid: string
+}
+
+export type RPCHandler<T extends RPCCall> = (
+    input: RPCInput<T>,
+    context: RPCHandlerContext
+) => Awaitable<Result<RPCOutput<T>, RPCErrorData<T>>>
+
+export type RPCHandlers<T extends RPCCommunication> = {
+    [K in keyof T['calls']]: RPCHandler<T['calls'][K]>
+}
+
+/**
+ * Sockets of RPC endpoints. Every frame is still emitted as a
+ * `validated-message` event before any handler is called.
+ */
+export interface RPCWebSocket<T extends RPCCommunication> extends ValidatedWebSocket<RPCCallFrame, never> {
+    /**
+     * Replaces any handlers given before. Calls made before this are
+     * answered with an UnknownCall error.
+     */
+    handle(handlers: RPCHandlers<T>): void
+    /** Throws if the notification is not declared by the schema. */
+    notify<Name extends RPCNotificationName<T>>(
+        name: Name,
+        data: RPCNotificationData<T, Name>,
+        callback?: (error?: Error) => void
+    ): void
+}
+
+export type WebSocketCallback<In, Out, Socket = ValidatedWebSocket<In, Out>> =
+    (uuid: string, socket: Socket) => Awaitable<void>
 
-export type WebSocketMessageError = _WebSocketMessageError<Buffer | ArrayBuffer | Buffer[]>
+export type MessageRateLimitedError = {
+    tag: 'MessageRateLimited'
+    /** Milliseconds until the connection may send another message. */
+    retryAfter: number
+}
+
+export type WebSocketMessageError =
+    | _WebSocketMessageError<Buffer>
+    | MessageRateLimitedError
 
-export type WebSocketHandlerResponse<In, Out> = {
+export type WebSocketHandlerResponse<In, Out, Socket = ValidatedWebSocket<In, Out>> = {
     accept: string
     protocol?: string
     maximumMessageSize?: number
     uuid?: string
-    callback: WebSocketCallback<In, Out>
+    callback: WebSocketCallback<In, Out, Socket>
     headers?: Headers
 }
 
@@ -139,6 +320,11 @@ export type WrongMethodError = {
     tag: 'WrongMethod'
     method: Method
 }
+export type PathParamsInvalidError = {
+    tag: 'PathParamsInvalid'
+    params: Record<string, string>
+    result: ValidationFailure
+}
 export type UpgradeDeniedError = {
     tag: 'UpgradeDenied'
 }
@@ -152,6 +338,28 @@ export type CSRFHeaderRequiredError = {
 export type AuthRequiredError = {
     tag: 'AuthRequired'
 }
+/**
+ * Times are in milliseconds. The RateLimit-* and Retry-After headers are
+ * added to whichever response the body handler gives.
+ */
+export type RateLimitedError = {
+    tag: 'RateLimited'
+    limit: number
+    remaining: number
+    reset: number
+    retryAfter: number
+}
+/** Values are only those declared, or every cookie for cookies. */
+export type HeadersInvalidError = {
+    tag: 'HeadersInvalid'
+    source: 'headers' | 'cookies'
+    values: Record<string, string>
+    result: ValidationFailure
+}
+export type AuthorizationHeaderMalformedError = {
+    tag: 'AuthorizationHeaderMalformed'
+    header: string
+}
 export type InvalidContentTypeHeaderError = {
     tag: 'InvalidContentTypeHeader'
     header: string
@@ -160,21 +368,18 @@ export type UnsupportedContentEncodingHeaderError = {
     tag: 'UnsupportedContentEncodingHeader'
     header: string
 }
+export type ContentEncodingMalformedError = {
+    tag: 'ContentEncodingMalformed'
+}
 export type InvalidContentLengthHeaderError = {
     tag: 'InvalidContentLengthHeader'
     header?: string
 }
 
-export type URLQueryRequiredError = {
-    tag: 'URLQueryRequired'
-}
-export type URLQueryMalformedError = {
-    tag: 'URLQueryMalformed'
-    query: string
-}
 export type URLQueryInputInvalidError = {
     tag: 'URLQueryInputInvalid'
     input: unknown
+    result: ValidationFailure
 }
 
 export type MultipartStreamClosedError = {
@@ -205,6 +410,7 @@ export type MultipartUnknownParseError = {
 export type MultipartFilesInvalidError = {
     tag: 'MultipartFilesInvalid'
     files: Record<string, FileDefinition>
+    result: ValidationFailure
 }
 export type MultipartJSONFieldRequiredError = {
     tag: 'MultipartJSONFieldRequired'
@@ -216,6 +422,7 @@ export type MultipartJSONFieldMalformedError = {
 export type MultipartJSONFieldInputInvalidError = {
     tag: 'MultipartJSONFieldInputInvalid'
     input: unknown
+    result: ValidationFailure
 }
 
 export type JSONMaximumSizeExceededError = {
@@ -227,22 +434,49 @@ export type JSONStreamMalformedError = {
 export type JSONInputInvalidError = {
     tag: 'JSONInputInvalid'
     input: unknown
+    result: ValidationFailure
 }
 
 
-export type HeadersHandlerError<Endpoint extends EP> =
+// without a strategy on the endpoint, the schema's may be either
+type AuthStrategyError<Strategy> = Strategy extends CookieAuthStrategy
+    ? CSRFHeaderRequiredError
+    : (Strategy extends BearerAuthStrategy
+        ? AuthorizationHeaderMalformedError
+        : (Strategy extends APIKeyAuthStrategy
+            ? never
+            : CSRFHeaderRequiredError | AuthorizationHeaderMalformedError))
+
+export type HeadersHandlerError<Endpoint extends EP, Path extends string = string> =
     | WrongMethodError
+    | (Endpoint['params'] extends Validator
+        ? (
+            | PathMismatchError
+            | PathParamsMalformedError
+            | PathParamsInvalidError
+        )
+        : (HasPathParams<Path> extends true
+            ? PathMismatchError | PathParamsMalformedError
+            : never))
     | (Endpoint extends WebSocketEndpoint
         ? (HasAnyResponse<Endpoint['responses']> extends true
             ? never
             : UpgradeError)
         : UpgradeDeniedError)
     | (Endpoint['auth'] extends 'required' | 'optional'
-        ? CSRFHeaderRequiredError
+        ? AuthStrategyError<Endpoint['authStrategy']>
         : never)
     | (Endpoint['auth'] extends 'required'
         ? AuthRequiredError
         : never)
+    | (Endpoint['headers'] extends Validator
+        ? HeadersInvalidError
+        : (Endpoint['cookies'] extends Validator
+            ? HeadersInvalidError
+            : never))
+    | (Endpoint['rateLimit'] extends RateLimit
+        ? RateLimitedError
+        : never)
     | (Endpoint extends BodyEndpoint
         ? (Endpoint['files'] extends FilesDefinition
             ? (
@@ -250,7 +484,7 @@ export type HeadersHandlerError<Endpoint extends EP> =
                 | UnsupportedContentEncodingHeaderError
                 | InvalidContentLengthHeaderError
             )
-            : (Endpoint['input'] extends Runtype
+            : (Endpoint['input'] extends Validator
                 ? (
                     | InvalidContentTypeHeaderError
                     | UnsupportedContentEncodingHeaderError
@@ -259,19 +493,20 @@ export type HeadersHandlerError<Endpoint extends EP> =
                 : never))
         : never)
 
-export type SessionHandlerError<Endpoint extends EP, T> =
-    | HeadersHandlerError<Endpoint>
+export type SessionHandlerError<Endpoint extends EP, T, Path extends string = string> =
+    | HeadersHandlerError<Endpoint, Path>
     | T
 
-export type BodyParsingAndValidationHandlerError<Endpoint extends EP, T> =
-    | SessionHandlerError<Endpoint, T>
+export type BodyParsingAndValidationHandlerError<Endpoint extends EP, T, Path extends string = string> =
+    | SessionHandlerError<Endpoint, T, Path>
     | (Endpoint extends NonBodyEndpoint
-        ? (Endpoint['input'] extends Runtype
+        ? (Endpoint['input'] extends Validator
             ? (URLQueryRequiredError | URLQueryMalformedError | URLQueryInputInvalidError)
             : never)
         : (Endpoint extends BodyEndpoint
             ? Endpoint['files'] extends FilesDefinition
                 ? (
+                    | ContentEncodingMalformedError
                     | MultipartStreamClosedError
                     | MultipartFileBelowMinimumSizeError
                     | MultipartMaximumFileCountExceededError
@@ -281,7 +516,7 @@ export type BodyParsingAndValidationHandlerError<Endpoint extends EP, T> =
                     | MultipartMaximumFieldsSizeExceededError
                     | MultipartUnknownParseError
                     | MultipartFilesInvalidError
-                    | (Endpoint['input'] extends Runtype
+                    | (Endpoint['input'] extends Validator
                         ? (
                             | MultipartJSONFieldRequiredError
                             | MultipartJSONFieldMalformedError
@@ -290,6 +525,7 @@ export type BodyParsingAndValidationHandlerError<Endpoint extends EP, T> =
                         : never)
                 )
                 : (
+                    | ContentEncodingMalformedError
                     | JSONMaximumSizeExceededError
                     | JSONStreamMalformedError
                     | JSONInputInvalidError
@@ -297,7 +533,8 @@ export type BodyParsingAndValidationHandlerError<Endpoint extends EP, T> =
             : never))
 
 
-export type InitialHandlerState<Endpoint extends EP, T> =
+// params which have no validator are passed as they were matched
+export type InitialHandlerState<Endpoint extends EP, T, Path extends string = string> =
     & T
     & {
         webSocket: Endpoint extends WebSocketEndpoint
@@ -305,23 +542,35 @@ export type InitialHandlerState<Endpoint extends EP, T> =
                 ? Result<ParsedWebSocketHeaders, ParseWebSocketHeadersError>
                 : ParsedWebSocketHeaders)
             : undefined
+        params: Endpoint['params'] extends Validator
+            ? Infer<Endpoint['params']>
+            : (HasPathParams<Path> extends true
+                ? PathParams<Path, Endpoint>
+                : undefined)
         token: Endpoint['auth'] extends 'required'
             ? string
             : (Endpoint['auth'] extends 'optional'
                 ? string | undefined
                 : undefined)
+        requestHeaders: Endpoint['headers'] extends Validator
+            ? Infer<Endpoint['headers']>
+            : undefined
     }
+    & (Endpoint['cookies'] extends Validator
+        ? { cookies: Infer<Endpoint['cookies']> }
+        : {})
 
 export type SessionHandlerState<
     Endpoint extends EP,
     PreState extends EndpointHandlerPreState,
-    SessionState
+    SessionState,
+    Path extends string = string
 > =
-    & InitialHandlerState<Endpoint, PreState>
+    & InitialHandlerState<Endpoint, PreState, Path>
     & { session: SessionState }
 
-type InputArg<T extends Runtype | undefined> = T extends Runtype
-    ? { input: Static<T> }
+type InputArg<T extends Validator | undefined> = T extends Validator
+    ? { input: Infer<T> }
     : {}
 
 type FilesArg<T extends FilesDefinition | undefined> = T extends FilesDefinition
@@ -331,19 +580,46 @@ type FilesArg<T extends FilesDefinition | undefined> = T extends FilesDefinition
 export type BodyParsingAndValidationHandlerState<
     Endpoint extends EP,
     PreState extends EndpointHandlerPreState,
-    SessionState
+    SessionState,
+    Path extends string = string
 > =
-    & SessionHandlerState<Endpoint, PreState, SessionState>
+    & SessionHandlerState<Endpoint, PreState, SessionState, Path>
     & InputArg<Endpoint['input']>
     & (Endpoint extends BodyEndpoint
         ? FilesArg<Endpoint['files']>
         : never)
 
+// each representation is only produced once negotiation has chosen it
+export type NegotiatedResponseData<T extends NegotiatedResponse> =
+    & (T['html'] extends HTMLResponse
+        ? { html: () => Awaitable<string> }
+        : {})
+    & (T['json'] extends JSONResponse
+        ? { json: () => Awaitable<Infer<T['json']['data']>> }
+        : {})
+
+// the event type may be left out for 'message' events. events whose id or
+// type contains a line break are dropped
+export type OutgoingServerSentEvent<T extends SSEResponse> =
+    & (
+        | ServerSentEvent<T>
+        | { event?: undefined, data: Infer<T['data']> }
+    )
+    & {
+        id?: string
+        /** Milliseconds the client should wait before reconnecting. */
+        retry?: number
+    }
+
 type ResponseData<T extends Response> = T extends JSONResponse
-    ? Static<T['data']>
+    ? Infer<T['data']>
     : T extends BinaryResponse
-        ? { data: Uint8Array | StreamBody, mimetype: Static<T['mimetype']> }
-        : string
+        ? { data: Uint8Array | StreamBody, mimetype: Infer<T['mimetype']> }
+        : T extends NegotiatedResponse
+            ? NegotiatedResponseData<T>
+            : T extends SSEResponse
+                ? AsyncIterable<OutgoingServerSentEvent<T>>
+                : string
 
 type BodyHandlerResponses<T extends Responses> = {
     [S in keyof T]: BodyHandlerResponse<
@@ -352,9 +628,19 @@ type BodyHandlerResponses<T extends Responses> = {
     >
 }[keyof T]
 
+type WebSocketBodyHandlerState<T extends WebSocketCommunication | RPCCommunication> =
+    T extends RPCCommunication
+        ? WebSocketHandlerResponse<RPCCallFrame, never, RPCWebSocket<T>>
+        : T extends WebSocketCommunication
+            ? WebSocketHandlerResponse<
+                MessageData<T['up'], Buffer>,
+                MessageData<T['down'], Buffer | ArrayBuffer | ArrayBufferView>
+            >
+            : never
+
 export type BodyHandlerState<Endpoint extends EP> =
     | (Endpoint extends WebSocketEndpoint
-        ? WebSocketHandlerResponse<Static<Endpoint['websocket']['up']>, Static<Endpoint['websocket']['down']>>
+        ? WebSocketBodyHandlerState<Endpoint['websocket']>
         : never)
     | BodyHandlerResponses<Endpoint['responses']>
 
@@ -363,12 +649,13 @@ export type SessionHandler<
     Endpoint extends EP,
     PreState extends EndpointHandlerPreState,
     SessionState,
-    Error
+    Error,
+    Path extends string = string
 > = MessageHandler<
-    InitialHandlerState<Endpoint, PreState>,
+    InitialHandlerState<Endpoint, PreState, Path>,
     Result<
-        SessionHandlerState<Endpoint, PreState, SessionState>,
-        SessionHandlerError<Endpoint, Error>
+        SessionHandlerState<Endpoint, PreState, SessionState, Path>,
+        SessionHandlerError<Endpoint, Error, Path>
     >
 >
 
@@ -376,11 +663,12 @@ export type BodyHandler<
     Endpoint extends EP,
     PreState extends EndpointHandlerPreState,
     SessionState,
-    Error
+    Error,
+    Path extends string = string
 > = MessageHandler<
     Result<
-        BodyParsingAndValidationHandlerState<Endpoint, PreState, SessionState>,
-        BodyParsingAndValidationHandlerError<Endpoint, Error>
+        BodyParsingAndValidationHandlerState<Endpoint, PreState, SessionState, Path>,
+        BodyParsingAndValidationHandlerError<Endpoint, Error, Path>
     >,
     BodyHandlerState<Endpoint>
 >
@@ -390,28 +678,74 @@ export type EndpointHandler<PreState extends EndpointHandlerPreState> = MessageH
 export type SchemaHandler<PreState extends EndpointHandlerPreState> = MessageHandler<PreState, FallibleResponse | undefined>
 
 
+export type ErrorMapperContext = {
+    endpoint: string
+    method: Method
+    /** Set for endpoints with `auth`. */
+    authStrategy: ResolvedAuthStrategy | undefined
+}
+
+export type MappedErrorResponse = {
+    status: number
+    headers: Headers
+    body: string
+}
+
+/** Returning undefined leaves the error for the body handler. */
+export type ErrorMapper<Error> = (
+    error: Error,
+    context: ErrorMapperContext
+) => MappedErrorResponse | undefined
+
 export type CreateHandlerArguments<
     Endpoint extends EP,
     PreState extends EndpointHandlerPreState,
     SessionState,
-    Error
+    Error,
+    Path extends string = string
 > = {
-    sessionHandler: SessionHandler<Endpoint, PreState, SessionState, Error>,
-    bodyHandler: BodyHandler<Endpoint, PreState, SessionState, Error>
-}
+    sessionHandler: SessionHandler<Endpoint, PreState, SessionState, Error, Path>,
+    bodyHandler: BodyHandler<Endpoint, PreState, SessionState, Error, Path>
+    /**
+     * Responds to errors in place of the body handler. Mapped responses are
+     * sent as they are, without validating them against the endpoint's.
+     */
+    mapError?: ErrorMapper<BodyParsingAndValidationHandlerError<Endpoint, Error, Path>>
+    /** Merged over the request's config. */
+    responseValidation?: ResponseValidation
+    /**
+     * Overrides the request's config. Defaults to an in-memory store of
+     * this handler's own.
+     */
+    rateLimitStore?: RateLimitStore
+    /** Overrides the request's config. */
+    instrumentation?: Instrumentation
+}
+
+/**
+ * Maps the library's errors to `application/problem+json` responses, with
+ * validation failures' details included. Other errors are left unmapped.
+ */
+export declare function mapErrorToProblem(
+    error: unknown,
+    context: ErrorMapperContext
+): MappedErrorResponse | undefined
 
 export declare function createEndpointHandler<
-    Endpoint extends EP,
+    Schema extends Sch,
+    Endpoint extends keyof Schema['endpoints'] & string,
     PreState extends EndpointHandlerPreState,
     SessionState,
     Error
 >(
-    endpoint: Endpoint,
+    schema: Schema,
+    endpointName: Endpoint,
     args: CreateHandlerArguments<
-        Endpoint,
+        Schema['endpoints'][Endpoint],
         PreState,
         SessionState,
-        Error
+        Error,
+        Endpoint
     >
 ): EndpointHandler<PreState>
 
@@ -421,10 +755,31 @@ export type Handlers<Endpoints extends EPS, PreState extends EndpointHandlerPreS
 }
 
 
+export type BatchOptions = {
+    /** Defaults to 20. */
+    maximumCalls?: number
+}
+
+export type CreateSchemaHandlerOptions = {
+    /** Default for requests whose config does not specify its own. */
+    responseValidation?: ResponseValidation
+    /** Default for requests whose config does not specify its own. */
+    rateLimitStore?: RateLimitStore
+    /** Default for requests whose config does not specify its own. */
+    instrumentation?: Instrumentation
+    /**
+     * Accepts batches of GET endpoint calls POSTed to the `_batch` path
+     * under the schema prefix. Disabled by default.
+     */
+    batch?: boolean | BatchOptions
+}
+
+
 export declare function createSchemaHandler<
     Schema extends Sch,
     PreState extends EndpointHandlerPreState
 >(
     schema: Schema,
-    handlers: Handlers<Schema['endpoints'], PreState>
+    handlers: Handlers<Schema['endpoints'], PreState>,
+    options?: CreateSchemaHandlerOptions
 ): SchemaHandler<PreState>
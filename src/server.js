@@ -1,3 +1,10 @@
+import { createHash } from 'node:crypto'
+import { STATUS_CODES } from 'node:http'
+import { Readable, pipeline } from 'node:stream'
+import { promisify } from 'node:util'
+import zlib from 'node:zlib'
+
+import Accept from '@hapi/accept'
 import { error, ok } from 'fallible'
 import {
     ResultMessageHandlerComposer,
@@ -9,10 +16,38 @@ import {
     parseContentLengthHeader,
     response
 } from 'fallible-server'
-import { Record as Rec } from 'runtypes'
+import {
+    Array as Arr,
+    Dictionary,
+    Record as Rec,
+    String as Str,
+    Unknown
+} from 'runtypes'
 
-import { AUTH_COOKIE_NAME, CSRF_HEADER, JSON_KEY } from './constants.js'
-import { validateWebSocketMessage } from './shared.js'
+import { BATCH_PATH, JSON_KEY, PROBLEM_MEDIA_TYPE } from './constants.js'
+import {
+    createMemoryRateLimitStore,
+    createTokenBucket,
+    getRateLimitHeaders
+} from './ratelimit.js'
+import {
+    buildPath,
+    buildQuery,
+    callHook,
+    createRouter,
+    encodeWebSocketMessage,
+    isBatchableEndpoint,
+    isRPCCommunication,
+    matchPath,
+    normaliseMessage,
+    parsePath,
+    parseQuery,
+    parseTraceparent,
+    pickHeaders,
+    resolveAuthStrategy,
+    rpcCommunication,
+    validateWebSocketMessage
+} from './shared.js'
 
 
 function errorResponse(state) {
@@ -65,6 +100,72 @@ function checkUpgradeForWebSocketEndpointWithNoResponses(headers) {
 }
 
 
+function createParamsCheck(prefix, segments, validator) {
+    return pathname => {
+        if (!pathname.startsWith(prefix)) {
+            throw new InternalException({ tag: 'PathMismatch' })
+        }
+        const matchResult = matchPath(segments, pathname.slice(prefix.length))
+        if (!matchResult.ok) {
+            throw new InternalException(matchResult.value)
+        }
+        // as the client allows, params without a validator are left as strings
+        if (validator === undefined) {
+            return matchResult.value
+        }
+        const validationResult = validator.validate(matchResult.value)
+        if (!validationResult.success) {
+            throw new InternalException({
+                tag: 'PathParamsInvalid',
+                params: matchResult.value,
+                result: validationResult
+            })
+        }
+        return validationResult.value
+    }
+}
+
+
+function createHeadersCheck(validator) {
+    return headers => {
+        const values = pickHeaders(
+            validator,
+            name => headers[name],
+            Object.keys(headers)
+        )
+        const validationResult = validator.validate(values)
+        if (!validationResult.success) {
+            throw new InternalException({
+                tag: 'HeadersInvalid',
+                source: 'headers',
+                values,
+                result: validationResult
+            })
+        }
+        return validationResult.value
+    }
+}
+
+
+// cookies are validated whole rather than picked like headers, as the
+// session handler may still need undeclared ones such as the auth cookie
+function createCookiesCheck(validator) {
+    return cookies => {
+        const validationResult = validator.validate(cookies)
+        if (!validationResult.success) {
+            throw new InternalException({
+                tag: 'HeadersInvalid',
+                source: 'cookies',
+                values: cookies,
+                result: validationResult
+            })
+        }
+        // validators which strip unknown keys would otherwise drop them too
+        return { ...cookies, ...validationResult.value }
+    }
+}
+
+
 function checkUpgradeForNonWebSocketEndpoint(headers) {
     if (headers['Upgrade'] !== undefined) {
         throw new InternalException({ tag: 'UpgradeDenied' })
@@ -72,30 +173,169 @@ function checkUpgradeForNonWebSocketEndpoint(headers) {
 }
 
 
-function checkAuthForRequiredAuthEndpoint(headers, cookies) {
-    if (headers[CSRF_HEADER] === undefined) {
+function readCookieToken(strategy, headers, cookies) {
+    if (headers[strategy.csrfHeader] === undefined) {
         throw new InternalException({ tag: 'CSRFHeaderRequired' })
     }
-    if (cookies[AUTH_COOKIE_NAME] === undefined) {
-        throw new InternalException({ tag: 'AuthRequired' })
+    return cookies[strategy.cookie]
+}
+
+
+function readBearerToken(_, headers) {
+    const header = headers['Authorization']
+    if (header === undefined) {
+        return undefined
+    }
+    const match = /^Bearer +([^ ]+) *$/i.exec(header)
+    if (match === null) {
+        throw new InternalException({
+            tag: 'AuthorizationHeaderMalformed',
+            header
+        })
     }
+    return match[1]
 }
 
 
-function checkAuthForOptionalAuthEndpoint(headers) {
-    if (headers[CSRF_HEADER] === undefined) {
-        throw new InternalException({ tag: 'CSRFHeaderRequired' })
+function readAPIKeyToken(strategy, headers) {
+    return headers[strategy.header]
+}
+
+
+const tokenReaders = {
+    cookie: readCookieToken,
+    bearer: readBearerToken,
+    apiKey: readAPIKeyToken
+}
+
+
+function createAuthCheck(strategy, required) {
+    const readToken = tokenReaders[strategy.type]
+    return (headers, cookies) => {
+        const token = readToken(strategy, headers, cookies)
+        if (required && token === undefined) {
+            throw new InternalException({ tag: 'AuthRequired' })
+        }
+        return token
+    }
+}
+
+
+// reads the token for rate limiting without checking it, which the auth
+// check still does afterwards
+function createTokenPeek(strategy) {
+    const readToken = tokenReaders[strategy.type]
+    return (headers, cookies) => {
+        try {
+            return readToken(strategy, headers, cookies)
+        }
+        catch (err) {
+            throwIfOtherException(err)
+            return undefined
+        }
+    }
+}
+
+
+const rateLimitKeys = {
+    ip: context => context.ip,
+    token: context => context.token
+}
+
+
+function createRateLimitCheck(endpointName, { limit, window, key = 'ip' }) {
+    const getKey = typeof key === 'function'
+        ? key
+        : rateLimitKeys[key]
+    if (getKey === undefined) {
+        throw new Error('Unexpected rate limit key')
+    }
+    const policy = { limit, window }
+    return (message, token, store) => {
+        const ip = message.socket?.remoteAddress
+        const id = getKey({ ip, token, headers: message.headers }) ?? ip
+        // endpoints are limited separately even when sharing a store
+        return store.consume(`${endpointName}\0${id}`, policy)
+    }
+}
+
+
+const defaultCompression = {
+    requests: true,
+    responses: true,
+    minimumSize: 1024
+}
+const disabledCompression = {
+    requests: false,
+    responses: false,
+    minimumSize: Infinity
+}
+
+
+function resolveCompression(endpoint, config) {
+    if (endpoint === false || config === false) {
+        return disabledCompression
     }
+    return { ...defaultCompression, ...config, ...endpoint }
 }
 
 
-function checkContentEncodingForBodyEndpoint(headers) {
-    if (headers['Content-Encoding'] !== undefined) {
+const requestDecoders = {
+    gzip: zlib.createGunzip,
+    'x-gzip': zlib.createGunzip,
+    deflate: zlib.createInflate,
+    br: zlib.createBrotliDecompress
+}
+
+
+function getContentEncoding(headers) {
+    const header = headers['Content-Encoding']?.trim().toLowerCase()
+    return header === 'identity' || header === ''
+        ? undefined
+        : header
+}
+
+
+// returns whether the body is encoded, in which case the Content-Length
+// header describes the encoded size and cannot be checked against limits
+function checkContentEncodingForBodyEndpoint(headers, compression) {
+    const encoding = getContentEncoding(headers)
+    if (encoding === undefined) {
+        return false
+    }
+    if (!compression.requests || !(encoding in requestDecoders)) {
         throw new InternalException({
             tag: 'UnsupportedContentEncodingHeader',
             header: headers['Content-Encoding']
         })
     }
+    return true
+}
+
+
+// limits passed on to the parsers apply to the decoded stream, so a small
+// compressed body cannot expand past them
+function decodeMessage(message) {
+    const encoding = getContentEncoding(message.headers)
+    if (encoding === undefined) {
+        return { stream: message, failed: () => false }
+    }
+    let failed = false
+    const decoder = requestDecoders[encoding]()
+    decoder.on('error', err => {
+        if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            failed = true
+        }
+    })
+    pipeline(message, decoder, () => {})
+    // the multipart parser reads the content type from the stream itself
+    const headers = { ...message.headers }
+    delete headers['Content-Encoding']
+    delete headers['Content-Length']
+    return {
+        stream: Object.assign(decoder, { headers, method: message.method }),
+        failed: () => failed
+    }
 }
 
 
@@ -114,15 +354,15 @@ function getContentLength(headers) {
 }
 
 
-function checkContentForBodyEndpointWithFiles(headers, config) {
-    checkContentEncodingForBodyEndpoint(headers)
+function checkContentForBodyEndpointWithFiles(headers, config, compression) {
+    const encoded = checkContentEncodingForBodyEndpoint(headers, compression)
     if (!headers['Content-Type']?.startsWith('multipart/form-data')) {
         throw new InternalException({
             tag: 'InvalidContentTypeHeader',
             header: headers['Content-Type']
         })
     }
-    if (config?.multipart === undefined) {
+    if (encoded || config?.multipart === undefined) {
         return
     }
     const {
@@ -141,24 +381,31 @@ function checkContentForBodyEndpointWithFiles(headers, config) {
 }
 
 
-function checkContentForBodyEndpointWithInputButNoFiles(headers, config) {
-    checkContentEncodingForBodyEndpoint(headers)
+function checkContentForBodyEndpointWithInputButNoFiles(headers, config, compression) {
+    const encoded = checkContentEncodingForBodyEndpoint(headers, compression)
     if (!isUTF8JSONContentTypeHeader(headers['Content-Type'])) {
         throw new InternalException({
             tag: 'InvalidContentTypeHeader',
             header: headers['Content-Type']
         })
     }
+    if (encoded) {
+        return
+    }
     const length = getContentLength(headers)
-    if (length > config?.json?.maximumSize ?? Infinity) {
+    if (length > (config?.json?.maximumSize ?? Infinity)) {
         throw new InternalException({ tag: 'JSONMaximumSizeExceeded' })
     }
 }
 
 
 async function parseMultipart(message, files, config) {
-    const parseResult = await parseMultipartRequest(message, config)
+    const { stream, failed } = decodeMessage(message)
+    const parseResult = await parseMultipartRequest(stream, config)
     if (!parseResult.ok) {
+        if (failed()) {
+            throw new InternalException({ tag: 'ContentEncodingMalformed' })
+        }
         switch (parseResult.value.tag) {
             case 'InvalidMultipartContentTypeHeader':
                 throw new InternalException({ tag: 'InvalidContentTypeHeader' })
@@ -181,19 +428,12 @@ async function parseMultipart(message, files, config) {
                 throw new Error('Unexpected multipart parse result')
         }
     }
-    const entries = Object.entries(files)
-        .map(([ file, definition ]) => [
-            file,
-            Rec(definition)
-        ])
-    const validator = Rec(
-        Object.fromEntries(entries)
-    )
-    const filesValidationResult = validator.validate(parseResult.value.files)
+    const filesValidationResult = validateFiles(files, parseResult.value.files)
     if (!filesValidationResult.success) {
         throw new InternalException({
             tag: 'MultipartFilesInvalid',
-            files: parseResult.value.files
+            files: parseResult.value.files,
+            result: filesValidationResult
         })
     }
     return {
@@ -203,10 +443,626 @@ async function parseMultipart(message, files, config) {
 }
 
 
+// each property is validated separately rather than composed into a record
+// runtype, as adapted validators can't be nested within runtypes
+function validateFile(definition, file) {
+    const value = { ...file }
+    const details = {}
+    for (const [ property, validator ] of Object.entries(definition)) {
+        const validationResult = validator.validate(file[property])
+        if (validationResult.success) {
+            value[property] = validationResult.value
+        }
+        else {
+            details[property] = validationResult.details ?? validationResult.message
+        }
+    }
+    return Object.keys(details).length === 0
+        ? { success: true, value }
+        : { success: false, details }
+}
+
+
+// undeclared files are kept, as they would be by a record runtype
+function validateFiles(definitions, files) {
+    const value = { ...files }
+    const details = {}
+    for (const [ name, definition ] of Object.entries(definitions)) {
+        if (files[name] === undefined) {
+            details[name] = 'Expected file, but was missing'
+            continue
+        }
+        const validationResult = validateFile(definition, files[name])
+        if (validationResult.success) {
+            value[name] = validationResult.value
+        }
+        else {
+            details[name] = validationResult.details
+        }
+    }
+    if (Object.keys(details).length === 0) {
+        return { success: true, value }
+    }
+    return {
+        success: false,
+        code: 'CONTENT_INCORRECT',
+        message: `Validation failed:\n${JSON.stringify(details, null, 2)}`,
+        details
+    }
+}
+
+
+function appendVaryHeader(headers, header) {
+    headers.set(
+        'Vary',
+        headers.has('Vary')
+            ? `${headers.get('Vary')}, ${header}`
+            : header
+    )
+}
+
+
+// in order of preference where the client has none
+const representations = {
+    json: {
+        mediaType: 'application/json',
+        serialise: body => JSON.stringify(body)
+    },
+    html: {
+        mediaType: 'text/html',
+        serialise: body => body
+    }
+}
+
+
+// returns undefined if no representation both declared by the schema and
+// supplied by the body handler is acceptable
+function negotiateRepresentation(header, definition, body) {
+    const available = Object.keys(representations)
+        .filter(key => definition[key] !== undefined && body[key] !== undefined)
+    let mediaType
+    try {
+        mediaType = Accept.mediaType(
+            header,
+            available.map(key => representations[key].mediaType)
+        )
+    }
+    catch {
+        return undefined
+    }
+    return available.find(key => representations[key].mediaType === mediaType)
+}
+
+
+const responseEncodings = [ 'br', 'gzip', 'deflate' ]
+
+const responseCompressors = {
+    br: promisify(zlib.brotliCompress),
+    gzip: promisify(zlib.gzip),
+    deflate: promisify(zlib.deflate)
+}
+
+
+function negotiateResponseEncoding(header) {
+    try {
+        return Accept.encoding(header, responseEncodings)
+    }
+    catch {
+        // malformed headers are treated as accepting only identity
+        return undefined
+    }
+}
+
+
+// streamed bodies are always sent as they are
+async function compressBody(message, headers, body, compression) {
+    if (!compression.responses || headers.has('Content-Encoding')) {
+        return body
+    }
+    let buffer
+    if (typeof body === 'string') {
+        buffer = Buffer.from(body)
+    }
+    else if (body instanceof Uint8Array) {
+        buffer = body
+    }
+    else {
+        return body
+    }
+    if (buffer.byteLength < compression.minimumSize) {
+        return body
+    }
+    appendVaryHeader(headers, 'Accept-Encoding')
+    const encoding = negotiateResponseEncoding(message.headers['Accept-Encoding'])
+    const compress = responseCompressors[encoding]
+    if (compress === undefined) {
+        return body
+    }
+    headers.set('Content-Encoding', encoding)
+    return compress(buffer)
+}
+
+
+const lineBreak = /[\r\n]/
+
+
+// a line break in the id or event type would inject further fields, so such
+// events are dropped. the data can't contain one once stringified
+function serialiseEvent({ event, data, id, retry }) {
+    if (lineBreak.test(id ?? '') || lineBreak.test(event ?? '')) {
+        return undefined
+    }
+    let text = ''
+    if (id !== undefined) {
+        text += `id: ${id}\n`
+    }
+    if (event !== undefined && event !== 'message') {
+        text += `event: ${event}\n`
+    }
+    if (retry !== undefined) {
+        text += `retry: ${retry}\n`
+    }
+    return `${text}data: ${JSON.stringify(data)}\n\n`
+}
+
+
+const heartbeatTick = Symbol('heartbeat')
+
+
+// interleaves a comment after each quiet period so that proxies and the
+// client don't treat an idle stream as dead. serialise returns undefined for
+// events to drop
+async function* streamEvents(events, serialise, heartbeat) {
+    const iterator = events[Symbol.asyncIterator]()
+    let next = iterator.next()
+    try {
+        while (true) {
+            let timer
+            const tick = new Promise(resolve => {
+                timer = setTimeout(resolve, heartbeat, heartbeatTick)
+            })
+            const result = await Promise.race([ next, tick ])
+            clearTimeout(timer)
+            if (result === heartbeatTick) {
+                yield ':\n\n'
+                continue
+            }
+            if (result.done) {
+                return
+            }
+            const text = serialise(result.value)
+            if (text !== undefined) {
+                yield text
+            }
+            next = iterator.next()
+        }
+    }
+    finally {
+        // not awaited, as the iterator may be waiting on its next event
+        iterator.return?.()
+    }
+}
+
+
+// weak, as the same ETag is sent whichever encoding the body is compressed
+// with
+function createETag(body) {
+    const hash = createHash('sha1')
+        .update(body)
+        .digest('base64url')
+    return `W/"${hash}"`
+}
+
+
+function stripWeakETagPrefix(tag) {
+    return tag.startsWith('W/')
+        ? tag.slice(2)
+        : tag
+}
+
+
+// If-None-Match takes precedence over If-Modified-Since when both are sent
+function isNotModified(requestHeaders, headers) {
+    const ifNoneMatch = requestHeaders['If-None-Match']
+    if (ifNoneMatch !== undefined) {
+        const etag = headers.get('ETag')
+        if (etag === undefined) {
+            return false
+        }
+        if (ifNoneMatch.trim() === '*') {
+            return true
+        }
+        const stripped = stripWeakETagPrefix(etag)
+        return ifNoneMatch.split(',')
+            .some(tag => stripWeakETagPrefix(tag.trim()) === stripped)
+    }
+    const ifModifiedSince = Date.parse(requestHeaders['If-Modified-Since'])
+    const lastModified = Date.parse(headers.get('Last-Modified'))
+    return !Number.isNaN(ifModifiedSince)
+        && !Number.isNaN(lastModified)
+        && lastModified <= ifModifiedSince
+}
+
+
+// sets the endpoint's caching headers, returning whether the request's
+// validators match so the body can be replaced with a 304. only bodies that
+// are already in memory get a generated ETag
+function checkNotModified(message, headers, body, cache) {
+    if (cache === undefined && !headers.has('ETag') && !headers.has('Last-Modified')) {
+        return false
+    }
+    if (cache?.control !== undefined && !headers.has('Cache-Control')) {
+        headers.set('Cache-Control', cache.control)
+    }
+    for (const header of cache?.vary ?? []) {
+        appendVaryHeader(headers, header)
+    }
+    if (
+        cache !== undefined
+        && cache.etag !== false
+        && !headers.has('ETag')
+        && (typeof body === 'string' || body instanceof Uint8Array)
+    ) {
+        headers.set('ETag', createETag(body))
+    }
+    return isNotModified(message.headers, headers)
+}
+
+
+// text frames arrive as buffers too, so are decoded to match the client
+function decodeWebSocketData(data, isBinary) {
+    let buffer
+    if (Array.isArray(data)) {
+        buffer = Buffer.concat(data)
+    }
+    else if (Buffer.isBuffer(data)) {
+        buffer = data
+    }
+    else {
+        buffer = Buffer.from(data)
+    }
+    return isBinary
+        ? buffer
+        : buffer.toString('utf-8')
+}
+
+
+// log mode would otherwise validate every response only to report nothing
+function checkResponseValidation(validation) {
+    if (validation?.mode === 'log' && validation.onInvalid === undefined) {
+        throw new Error("Response validation mode 'log' requires onInvalid")
+    }
+}
+
+
+function resolveResponseValidation(endpoint, config) {
+    const validation = {
+        mode: 'off',
+        ...config,
+        ...endpoint
+    }
+    checkResponseValidation(validation)
+    return validation
+}
+
+
+// returns whether the response may still be sent
+function reportInvalidResponse(validation, report) {
+    callHook(validation.onInvalid, report)
+    return validation.mode !== 'enforce'
+}
+
+
+// handlers may set headers in any case
+function pickResponseHeaders(validator, headers) {
+    const lowercased = new Map(
+        Object.entries(toHeadersRecord(headers))
+            .map(([ name, value ]) => [ name.toLowerCase(), value ])
+    )
+    return pickHeaders(
+        validator,
+        name => lowercased.get(name.toLowerCase()),
+        lowercased.keys()
+    )
+}
+
+
+function checkResponse(validation, validator, value, report) {
+    if (validation.mode === 'off' || validator === undefined) {
+        return true
+    }
+    const result = validator.validate(value)
+    if (result.success) {
+        return true
+    }
+    return reportInvalidResponse(validation, { ...report, value, result })
+}
+
+
+// only the JSON and text parts of a message have runtypes to check
+function getOutgoingMessageValidator(definition, message) {
+    definition = normaliseMessage(definition)
+    if (definition.type === 'mixed') {
+        if (message?.type !== definition.text.type) {
+            return { validator: undefined, value: message }
+        }
+        definition = definition.text
+        message = message.data
+    }
+    return {
+        validator: definition.type === 'binary' ? undefined : definition.data,
+        value: message
+    }
+}
+
+
+// rejected frames may still carry an ID worth replying to
+function readCallId(message) {
+    if (typeof message !== 'string') {
+        return null
+    }
+    try {
+        const { id } = JSON.parse(message)
+        return typeof id === 'number' ? id : null
+    }
+    catch {
+        return null
+    }
+}
+
+
+function isDeclaredCall(rpc, name) {
+    return Object.prototype.hasOwnProperty.call(rpc.calls, name)
+}
+
+
+// calls are answered in the order their handlers finish rather than the order
+// they arrive, so a slow call doesn't hold up the rest
+function createRPCServer(rpc, { uuid, reply, check, instrument }) {
+    let handlers = {}
+
+    const fail = (id, error) => {
+        reply({ type: 'error', id, error })
+    }
+
+    const call = async ({ id, name, input }) => {
+        if (!isDeclaredCall(rpc, name) || handlers[name] === undefined) {
+            fail(id, { tag: 'UnknownCall', name })
+            return
+        }
+        const definition = rpc.calls[name]
+        let value
+        if (definition.input !== undefined) {
+            const validationResult = definition.input.validate(input)
+            if (!validationResult.success) {
+                fail(id, {
+                    tag: 'InvalidCallInput',
+                    message: validationResult.message,
+                    details: validationResult.details
+                })
+                return
+            }
+            value = validationResult.value
+        }
+        const started = Date.now()
+        let result
+        try {
+            result = await handlers[name](value, { id, uuid })
+        }
+        catch (exception) {
+            instrument?.({
+                type: 'call',
+                name,
+                duration: Date.now() - started,
+                error: 'InternalCallError',
+                exception
+            })
+            fail(id, { tag: 'InternalCallError' })
+            return
+        }
+        instrument?.({
+            type: 'call',
+            name,
+            duration: Date.now() - started,
+            error: result.ok ? undefined : 'CallFailed'
+        })
+        if (result.ok) {
+            if (check(definition.output, result.value, 'InvalidCallOutput', name)) {
+                reply({ type: 'result', id, output: result.value })
+            }
+            else {
+                fail(id, { tag: 'InternalCallError' })
+            }
+        }
+        else if (check(definition.error, result.value, 'InvalidCallError', name)) {
+            fail(id, { tag: 'CallFailed', error: result.value })
+        }
+        else {
+            fail(id, { tag: 'InternalCallError' })
+        }
+    }
+
+    return {
+        handle: newHandlers => {
+            handlers = newHandlers
+        },
+        receive: (result, message) => {
+            if (result.ok) {
+                // anything failing past the handler, such as it resolving to
+                // something other than a result or the reply not sending,
+                // still fails the call rather than going unhandled
+                call(result.value).catch(() => {
+                    try {
+                        fail(result.value.id, { tag: 'InternalCallError' })
+                    }
+                    catch {
+                        // the socket can't be replied on
+                    }
+                })
+                return
+            }
+            fail(
+                readCallId(message),
+                result.value.tag === 'MessageRateLimited'
+                    ? { tag: 'CallRateLimited', retryAfter: result.value.retryAfter }
+                    : { tag: 'MalformedCall' }
+            )
+        }
+    }
+}
+
+
+const problemStatuses = new Map([
+    [ 'WrongMethod', 405 ],
+    [ 'PathMismatch', 404 ],
+    [ 'PathParamsMalformed', 400 ],
+    [ 'PathParamsInvalid', 404 ],
+    [ 'UpgradeDenied', 400 ],
+    [ 'UpgradeError', 426 ],
+    [ 'CSRFHeaderRequired', 403 ],
+    [ 'AuthRequired', 401 ],
+    [ 'AuthorizationHeaderMalformed', 401 ],
+    [ 'RateLimited', 429 ],
+    [ 'HeadersInvalid', 400 ],
+    [ 'InvalidContentTypeHeader', 415 ],
+    [ 'UnsupportedContentEncodingHeader', 415 ],
+    [ 'ContentEncodingMalformed', 400 ],
+    [ 'InvalidContentLengthHeader', 400 ],
+    [ 'URLQueryRequired', 400 ],
+    [ 'URLQueryMalformed', 400 ],
+    [ 'URLQueryInputInvalid', 422 ],
+    [ 'MultipartStreamClosed', 400 ],
+    [ 'MultipartFileBelowMinimumSize', 422 ],
+    [ 'MultipartMaximumFileCountExceeded', 413 ],
+    [ 'MultipartMaximumFileSizeExceeded', 413 ],
+    [ 'MultipartMaximumTotalFileSizeExceeded', 413 ],
+    [ 'MultipartMaximumFieldsCountExceeded', 413 ],
+    [ 'MultipartMaximumFieldsSizeExceeded', 413 ],
+    [ 'MultipartUnknownParseError', 400 ],
+    [ 'MultipartFilesInvalid', 422 ],
+    [ 'MultipartJSONFieldRequired', 422 ],
+    [ 'MultipartJSONFieldMalformed', 400 ],
+    [ 'MultipartJSONFieldInputInvalid', 422 ],
+    [ 'JSONMaximumSizeExceeded', 413 ],
+    [ 'JSONStreamMalformed', 400 ],
+    [ 'JSONInputInvalid', 422 ]
+])
+
+
+// session handler errors are left for the body handler, as only it knows
+// what they mean
+export function mapErrorToProblem(err, { method, authStrategy }) {
+    let status = problemStatuses.get(err?.tag)
+    if (status === undefined) {
+        return undefined
+    }
+    if (err.tag === 'InvalidContentLengthHeader' && err.header === undefined) {
+        status = 411
+    }
+    const headers = new Map([
+        [ 'Content-Type', `${PROBLEM_MEDIA_TYPE}; charset=utf-8` ]
+    ])
+    const problem = {
+        type: 'about:blank',
+        title: STATUS_CODES[status],
+        status,
+        tag: err.tag
+    }
+    switch (err.tag) {
+        case 'WrongMethod':
+            headers.set('Allow', method)
+            problem.method = err.method
+            break
+        case 'UpgradeError':
+            headers.set('Upgrade', 'websocket')
+            break
+        case 'AuthRequired':
+        case 'AuthorizationHeaderMalformed':
+            if (authStrategy?.type === 'bearer') {
+                headers.set('WWW-Authenticate', 'Bearer')
+            }
+            break
+        case 'RateLimited':
+            problem.limit = err.limit
+            problem.remaining = err.remaining
+            problem.reset = err.reset
+            problem.retryAfter = err.retryAfter
+            break
+        case 'PathParamsInvalid':
+        case 'HeadersInvalid':
+        case 'URLQueryInputInvalid':
+        case 'MultipartFilesInvalid':
+        case 'MultipartJSONFieldInputInvalid':
+        case 'JSONInputInvalid':
+            problem.detail = err.result.message
+            problem.code = err.result.code
+            if (err.result.details !== undefined) {
+                problem.details = err.result.details
+            }
+            break
+    }
+    return {
+        status,
+        headers,
+        body: JSON.stringify(problem)
+    }
+}
+
+
+const invalidResponse = { status: 500 }
+
+
+// the final handler only receives the body handler's response, so the
+// request's config is kept alongside its message instead
+const requestConfigs = new WeakMap()
+// likewise for the rate limit state, which is sent as headers with whatever
+// response the body handler gives
+const rateLimitStates = new WeakMap()
+// and for whether the response is a mapped error, which isn't one of the
+// endpoint's responses so can't be validated against them
+const mappedErrors = new WeakSet()
+// and for the trace the request is part of, parsed once for all its events
+const traceContexts = new WeakMap()
+
+
+function getTraceContext(message) {
+    if (!traceContexts.has(message)) {
+        traceContexts.set(message, parseTraceparent(message.headers['Traceparent']))
+    }
+    return traceContexts.get(message)
+}
+
+
+const describeResultStage = (_, result) => ({
+    status: undefined,
+    error: result.ok ? undefined : result.value?.tag
+})
+
+
+// the body handler is given the error that ended the pipeline, if any
+const describeHandlerStage = (result, state) => ({
+    status: state?.status,
+    error: result.ok ? undefined : result.value?.tag
+})
+
+
+const describeSerialisationStage = (_, state) => ({
+    status: state?.status,
+    error: undefined
+})
+
+
 export function createEndpointHandler(
     schema,
     endpointName,
-    { sessionHandler, bodyHandler }
+    {
+        sessionHandler,
+        bodyHandler,
+        responseValidation,
+        rateLimitStore,
+        mapError,
+        instrumentation
+    }
 ) {
     const endpoint = schema.endpoints[endpointName]
     const method = endpoint.method ?? 'GET'
@@ -239,20 +1095,52 @@ export function createEndpointHandler(
         checkUpgrade = checkUpgradeForNonWebSocketEndpoint
     }
 
-    let checkAuth
+    let checkParams
+    const segments = parsePath(endpointName)
+    if (segments.some(segment => segment.type === 'param')) {
+        checkParams = createParamsCheck(schema.prefix, segments, endpoint.params)
+    }
+
+    let checkAuth, authStrategy
     switch (endpoint.auth) {
-        case 'required': {
-            checkAuth = checkAuthForRequiredAuthEndpoint
-            break
-        }
+        case 'required':
         case 'optional': {
-            checkAuth = checkAuthForOptionalAuthEndpoint
+            authStrategy = resolveAuthStrategy(schema, endpoint)
+            checkAuth = createAuthCheck(
+                authStrategy,
+                endpoint.auth === 'required'
+            )
             break
         }
+        case 'none':
+        case undefined:
+            break
         default:
             throw new Error('Unexpected endpoint auth type')
     }
 
+    const checkHeaders = endpoint.headers === undefined
+        ? undefined
+        : createHeadersCheck(endpoint.headers)
+    const checkCookies = endpoint.cookies === undefined
+        ? undefined
+        : createCookiesCheck(endpoint.cookies)
+
+    const checkRateLimit = endpoint.rateLimit === undefined
+        ? undefined
+        : createRateLimitCheck(endpointName, endpoint.rateLimit)
+    // requests are counted before any other check can fail them, apart from
+    // by token, which has to have passed the auth check to mean anything
+    const rateLimitAfterAuth = endpoint.rateLimit?.key === 'token'
+    // custom keys are still given whatever token was sent
+    const peekToken = typeof endpoint.rateLimit?.key === 'function'
+        && authStrategy !== undefined
+        ? createTokenPeek(authStrategy)
+        : () => undefined
+    // only created once needed, and kept to this handler so that other
+    // handlers and servers never share its buckets
+    let defaultRateLimitStore
+
     let checkContent
     if (method !== 'GET') {
         if (endpoint.files === undefined) {
@@ -265,7 +1153,42 @@ export function createEndpointHandler(
         }
     }
 
-    const headersHandler = (message, state) => {
+    const getInstrumentation = message =>
+        instrumentation ?? requestConfigs.get(message)?.instrumentation
+
+    const limitRequest = async (message, state, token) => {
+        if (checkRateLimit === undefined) {
+            return undefined
+        }
+        const store = rateLimitStore
+            ?? state.config?.rateLimitStore
+            ?? (defaultRateLimitStore ??= createMemoryRateLimitStore())
+        const rateLimit = await checkRateLimit(message, token, store)
+        rateLimitStates.set(message, rateLimit)
+        if (rateLimit.allowed) {
+            return undefined
+        }
+        return errorResponse({
+            tag: 'RateLimited',
+            limit: rateLimit.limit,
+            remaining: rateLimit.remaining,
+            reset: rateLimit.reset,
+            retryAfter: rateLimit.retryAfter
+        })
+    }
+
+    const headersHandler = async (message, state) => {
+        requestConfigs.set(message, state.config)
+        if (!rateLimitAfterAuth) {
+            const limited = await limitRequest(
+                message,
+                state,
+                peekToken(message.headers, state.cookies)
+            )
+            if (limited !== undefined) {
+                return limited
+            }
+        }
         if (message.method !== method) {
             return errorResponse({
                 tag: 'WrongMethod',
@@ -273,11 +1196,32 @@ export function createEndpointHandler(
             })
         }
 
-        let webSocket
+        let webSocket, params, token, requestHeaders, cookies
         try {
+            params = checkParams?.(state.url.pathname)
             webSocket = checkUpgrade?.(message.headers)
-            checkAuth?.(message.headers, state.cookies)
-            checkContent?.(message.headers, state.config)
+            token = checkAuth?.(message.headers, state.cookies)
+        }
+        catch (err) {
+            throwIfOtherException(err)
+            return errorResponse(err.value)
+        }
+
+        if (rateLimitAfterAuth) {
+            const limited = await limitRequest(message, state, token)
+            if (limited !== undefined) {
+                return limited
+            }
+        }
+
+        try {
+            requestHeaders = checkHeaders?.(message.headers)
+            cookies = checkCookies?.(state.cookies) ?? state.cookies
+            checkContent?.(
+                message.headers,
+                state.config,
+                resolveCompression(endpoint.compression, state.config?.compression)
+            )
         }
         catch (err) {
             throwIfOtherException(err)
@@ -287,7 +1231,11 @@ export function createEndpointHandler(
         return okResponse({
             ...state,
             webSocket,
-            token: state.cookies[AUTH_COOKIE_NAME]
+            params,
+            token,
+            // kept apart from the headers which handlers set on the response
+            requestHeaders,
+            cookies
         })
     }
 
@@ -295,25 +1243,17 @@ export function createEndpointHandler(
     if (method === 'GET') {
         if (endpoint.input !== undefined) {
             bodyParsingAndValidationHandler = (_, state) => {
-                const jsonParam = state.url.searchParams.get(JSON_KEY)
-                if (jsonParam === null) {
-                    return errorResponse({ tag: 'URLQueryRequired' })
-                }
-                let json
-                try {
-                    json = parseJSONString(jsonParam)
-                }
-                catch {
-                    return errorResponse({
-                        tag: 'URLQueryMalformed',
-                        query: jsonParam
-                    })
+                const queryResult = parseQuery(endpoint, state.url.searchParams)
+                if (!queryResult.ok) {
+                    return errorResponse(queryResult.value)
                 }
-                const result = endpoint.input.validate(json)
+                const input = queryResult.value
+                const result = endpoint.input.validate(input)
                 if (!result.success) {
                     return errorResponse({
                         tag: 'URLQueryInputInvalid',
-                        input: json
+                        input,
+                        result
                     })
                 }
                 return okResponse({
@@ -372,7 +1312,8 @@ export function createEndpointHandler(
                 if (!inputValidationResult.success) {
                     return errorResponse({
                         tag: 'MultipartJSONFieldInputInvalid',
-                        input: json
+                        input: json,
+                        result: inputValidationResult
                     })
                 }
                 return okResponse({
@@ -385,8 +1326,12 @@ export function createEndpointHandler(
     }
     else if (endpoint.input !== undefined) {
         bodyParsingAndValidationHandler = async (message, state) => {
-            const parseResult = await parseJSONStream(message, state.config?.json)
+            const { stream, failed } = decodeMessage(message)
+            const parseResult = await parseJSONStream(stream, state.config?.json)
             if (!parseResult.ok) {
+                if (failed()) {
+                    return errorResponse({ tag: 'ContentEncodingMalformed' })
+                }
                 switch (parseResult.value.tag) {
                     case 'MaximumSizeExceeded':
                         return errorResponse({ tag: 'JSONMaximumSizeExceeded' })
@@ -401,7 +1346,8 @@ export function createEndpointHandler(
             if (!validationResult.success) {
                 return errorResponse({
                     tag: 'JSONInputInvalid',
-                    input: parseResult.value
+                    input: parseResult.value,
+                    result: validationResult
                 })
             }
             return okResponse({
@@ -411,38 +1357,237 @@ export function createEndpointHandler(
         }
     }
 
-    const finalHandler = (_, state) => {
+    const finalHandler = async (message, state) => {
+        const config = requestConfigs.get(message)
+        const validation = resolveResponseValidation(
+            responseValidation,
+            config?.responseValidation
+        )
         if ('accept' in state) {
+            const onWebSocket = getInstrumentation(message)?.onWebSocket
             return response({
                 ...state,
                 callback: (uuid, socket) => {
-                    socket.on('message', data => {
-                        const result = validateWebSocketMessage(data, endpoint.websocket.up)
+                    const notify = onWebSocket === undefined
+                        ? undefined
+                        : event => callHook(onWebSocket, {
+                            ...event,
+                            endpoint: endpointName,
+                            uuid,
+                            trace: getTraceContext(message)
+                        })
+                    notify?.({ type: 'open' })
+                    socket.on('close', (code, reason) => {
+                        notify?.({ type: 'close', code, reason: String(reason) })
+                    })
+                    const rpc = isRPCCommunication(endpoint.websocket)
+                        ? endpoint.websocket
+                        : undefined
+                    const { up, down } = rpc === undefined
+                        ? endpoint.websocket
+                        : rpcCommunication
+                    const bucket = endpoint.messageRateLimit === undefined
+                        ? undefined
+                        : createTokenBucket(endpoint.messageRateLimit)
+                    const send = socket.send.bind(socket)
+                    socket.send = (message, ...args) => {
+                        const { validator, value } = getOutgoingMessageValidator(down, message)
+                        const valid = checkResponse(validation, validator, value, {
+                            tag: 'InvalidWebSocketMessage',
+                            endpoint: endpointName
+                        })
+                        if (!valid) {
+                            const callback = args[args.length - 1]
+                            if (typeof callback === 'function') {
+                                callback(new Error('WebSocket message failed validation against schema'))
+                            }
+                            return
+                        }
+                        send(encodeWebSocketMessage(message, down), ...args)
+                    }
+                    const check = (validator, value, tag, name) =>
+                        validator === undefined || checkResponse(validation, validator, value, {
+                            tag,
+                            endpoint: endpointName,
+                            name
+                        })
+                    let rpcServer
+                    if (rpc !== undefined) {
+                        rpcServer = createRPCServer(rpc, {
+                            uuid,
+                            reply: frame => socket.send(frame),
+                            check,
+                            instrument: notify
+                        })
+                        socket.handle = rpcServer.handle
+                        socket.notify = (name, data, callback) => {
+                            const validator = rpc.notifications?.[name]
+                            if (validator === undefined) {
+                                throw new Error(`Unknown notification '${name}'`)
+                            }
+                            if (!check(validator, data, 'InvalidNotification', name)) {
+                                callback?.(new Error('WebSocket message failed validation against schema'))
+                                return
+                            }
+                            socket.send({ type: 'notification', name, data }, callback)
+                        }
+                    }
+                    socket.on('message', (data, isBinary) => {
+                        const message = decodeWebSocketData(data, isBinary)
+                        const rateLimit = bucket?.consume()
+                        const result = rateLimit?.allowed === false
+                            ? error({
+                                tag: 'MessageRateLimited',
+                                retryAfter: rateLimit.retryAfter
+                            })
+                            : validateWebSocketMessage(message, up)
+                        if (!result.ok) {
+                            notify?.({ type: 'message-rejected', error: result.value.tag })
+                        }
                         socket.emit('validated-message', result)
+                        rpcServer?.receive(result, message)
                     })
                     return state.callback(uuid, socket)
                 }
             })
         }
-        switch (endpoint.responses[state.status]?.type) {
+        const rateLimit = rateLimitStates.get(message)
+        if (rateLimit !== undefined) {
+            for (const [ name, value ] of Object.entries(getRateLimitHeaders(rateLimit))) {
+                if (!state.headers.has(name)) {
+                    state.headers.set(name, value)
+                }
+            }
+        }
+        const compression = resolveCompression(
+            endpoint.compression,
+            config?.compression
+        )
+        const send = async body => {
+            const cacheable = method === 'GET'
+                && state.status >= 200
+                && state.status < 300
+            if (cacheable && checkNotModified(message, state.headers, body, endpoint.cache)) {
+                return response({
+                    status: 304,
+                    headers: state.headers
+                })
+            }
+            return response({
+                ...state,
+                body: await compressBody(message, state.headers, body, compression)
+            })
+        }
+        if (mappedErrors.has(message)) {
+            return send(state.body)
+        }
+        const definition = endpoint.responses[state.status]
+        // picked only when they're to be checked
+        if (validation.mode !== 'off' && definition?.headers !== undefined) {
+            const valid = checkResponse(
+                validation,
+                definition.headers,
+                pickResponseHeaders(definition.headers, state.headers),
+                {
+                    tag: 'InvalidResponseHeaders',
+                    endpoint: endpointName,
+                    status: state.status
+                }
+            )
+            if (!valid) {
+                return response(invalidResponse)
+            }
+        }
+        switch (definition?.type) {
             case 'html':
-                return response(state)
+                return send(state.body)
             case 'json': {
+                const valid = checkResponse(validation, definition.data, state.body, {
+                    tag: 'InvalidResponseBody',
+                    endpoint: endpointName,
+                    status: state.status
+                })
+                if (!valid) {
+                    return response(invalidResponse)
+                }
                 if (!state.headers.has('Content-Type')) {
                     state.headers.set('Content-Type', 'application/json; charset=utf-8')
                 }
-                return response({
-                    ...state,
-                    body: JSON.stringify(state.body)
-                })
+                return send(JSON.stringify(state.body))
+            }
+            case 'negotiated': {
+                appendVaryHeader(state.headers, 'Accept')
+                const representation = negotiateRepresentation(
+                    message.headers['Accept'],
+                    definition,
+                    state.body
+                )
+                if (representation === undefined) {
+                    return response({
+                        status: 406,
+                        headers: state.headers
+                    })
+                }
+                const data = await state.body[representation]()
+                if (representation === 'json') {
+                    const valid = checkResponse(validation, definition.json.data, data, {
+                        tag: 'InvalidResponseBody',
+                        endpoint: endpointName,
+                        status: state.status
+                    })
+                    if (!valid) {
+                        return response(invalidResponse)
+                    }
+                }
+                const { mediaType, serialise } = representations[representation]
+                if (!state.headers.has('Content-Type')) {
+                    state.headers.set('Content-Type', `${mediaType}; charset=utf-8`)
+                }
+                return send(serialise(data))
             }
             case 'binary': {
+                const valid = checkResponse(validation, definition.mimetype, state.body.mimetype, {
+                    tag: 'InvalidResponseMimetype',
+                    endpoint: endpointName,
+                    status: state.status
+                })
+                if (!valid) {
+                    return response(invalidResponse)
+                }
                 if (!state.headers.has('Content-Type')) {
-                    state.header.set('Content-Type', state.body.mimetype)
+                    state.headers.set('Content-Type', state.body.mimetype)
+                }
+                return send(state.body.data)
+            }
+            case 'sse': {
+                if (!state.headers.has('Content-Type')) {
+                    state.headers.set('Content-Type', 'text/event-stream')
+                }
+                if (!state.headers.has('Cache-Control')) {
+                    state.headers.set('Cache-Control', 'no-cache')
+                }
+                // stops nginx and similar proxies holding events back
+                state.headers.set('X-Accel-Buffering', 'no')
+                const serialise = event => {
+                    const validator = event.event === undefined || event.event === 'message'
+                        ? definition.data
+                        : definition.events?.[event.event]
+                    const valid = checkResponse(validation, validator, event.data, {
+                        tag: 'InvalidResponseEvent',
+                        endpoint: endpointName,
+                        status: state.status
+                    })
+                    return valid
+                        ? serialiseEvent(event)
+                        : undefined
                 }
                 return response({
                     ...state,
-                    body: state.body.data
+                    body: () => streamEvents(
+                        state.body,
+                        serialise,
+                        definition.heartbeat ?? 15_000
+                    )
                 })
             }
             default:
@@ -450,24 +1595,296 @@ export function createEndpointHandler(
         }
     }
 
-    let composer = new ResultMessageHandlerComposer(headersHandler)
-        .intoResultHandler(sessionHandler)
+    let mappedBodyHandler = bodyHandler
+    if (mapError !== undefined) {
+        const context = { endpoint: endpointName, method, authStrategy }
+        mappedBodyHandler = (message, result, ...args) => {
+            if (!result.ok) {
+                const mapped = mapError(result.value, context)
+                if (mapped !== undefined) {
+                    mappedErrors.add(message)
+                    return response(mapped)
+                }
+            }
+            return bodyHandler(message, result, ...args)
+        }
+    }
+
+    // each stage is timed from when it is given the previous stage's state
+    // until it gives its own
+    const instrumentStage = (stage, handler, describe) =>
+        async (message, state, ...args) => {
+            const started = performance.now()
+            const result = await handler(message, state, ...args)
+            callHook(getInstrumentation(message)?.onStage, {
+                endpoint: endpointName,
+                stage,
+                duration: performance.now() - started,
+                ...describe(state, result?.state),
+                trace: getTraceContext(message)
+            })
+            return result
+        }
+
+    let composer = new ResultMessageHandlerComposer(
+        instrumentStage('headers', headersHandler, describeResultStage)
+    ).intoResultHandler(
+        instrumentStage('session', sessionHandler, describeResultStage)
+    )
     if (bodyParsingAndValidationHandler !== undefined) {
-        composer = composer.intoResultHandler(bodyParsingAndValidationHandler)
+        composer = composer.intoResultHandler(instrumentStage(
+            'parsing',
+            bodyParsingAndValidationHandler,
+            describeResultStage
+        ))
     }
-    return composer.intoHandler(bodyHandler)
-        .intoHandler(finalHandler)
+    return composer
+        .intoHandler(
+            instrumentStage('handler', mappedBodyHandler, describeHandlerStage)
+        )
+        .intoHandler(
+            instrumentStage('serialisation', finalHandler, describeSerialisationStage)
+        )
         .build()
 }
 
 
+const BatchedCalls = Arr(Rec({
+    endpoint: Str,
+    params: Dictionary(Str).optional(),
+    input: Unknown.optional(),
+    headers: Dictionary(Str).optional()
+}))
+
+
+// the batch request's own body and conditional headers don't apply to the
+// calls within it, and each call is answered uncompressed
+const unbatchedHeaders = new Set([
+    'accept',
+    'accept-encoding',
+    'content-encoding',
+    'content-length',
+    'content-type',
+    'if-modified-since',
+    'if-none-match'
+])
+
+
+function createBatchedHeaders(batchHeaders, callHeaders = {}) {
+    const headers = {}
+    for (const [ name, value ] of Object.entries(batchHeaders)) {
+        if (!unbatchedHeaders.has(name.toLowerCase())) {
+            headers[name.toLowerCase()] = value
+        }
+    }
+    for (const [ name, value ] of Object.entries(callHeaders)) {
+        headers[name.toLowerCase()] = value
+    }
+    delete headers['accept-encoding']
+    // handlers look headers up by their canonical capitalisation
+    return new Proxy(headers, {
+        get: (target, key) => typeof key === 'string'
+            ? target[key.toLowerCase()]
+            : target[key],
+        has: (target, key) => typeof key === 'string'
+            ? key.toLowerCase() in target
+            : key in target
+    })
+}
+
+
+function toHeadersRecord(headers) {
+    const record = {}
+    if (headers === undefined) {
+        return record
+    }
+    const entries = typeof headers.entries === 'function'
+        ? headers.entries()
+        : Object.entries(headers)
+    for (const [ name, value ] of entries) {
+        record[name] = Array.isArray(value)
+            ? value.join(', ')
+            : String(value)
+    }
+    return record
+}
+
+
+async function readResponseBody(body) {
+    if (body === undefined) {
+        return undefined
+    }
+    if (typeof body === 'string' || body instanceof Uint8Array) {
+        return Buffer.from(body)
+    }
+    if (typeof body === 'function') {
+        body = body()
+    }
+    const chunks = []
+    for await (const chunk of body) {
+        chunks.push(Buffer.from(chunk))
+    }
+    return Buffer.concat(chunks)
+}
+
+
+function isTextContentType(header) {
+    return header === undefined || /^text\/|[/+]json\b/i.test(header)
+}
+
+
+async function callBatchedEndpoint(schema, handler, message, state, sockets, call) {
+    let url
+    try {
+        url = schema.prefix + buildPath(call.endpoint, call.params)
+    }
+    catch {
+        return { status: 404, headers: {}, body: null }
+    }
+    const query = buildQuery(schema.endpoints[call.endpoint], call.input)
+    if (query !== '') {
+        url += `?${query}`
+    }
+    const batchedMessage = Object.assign(Readable.from([]), {
+        method: 'GET',
+        url,
+        headers: createBatchedHeaders(message.headers, call.headers),
+        socket: message.socket
+    })
+    const result = await handler(
+        batchedMessage,
+        { ...state, url: new URL(url, state.url) },
+        sockets
+    )
+    try {
+        const { status = 200, headers, body } = result?.state ?? {}
+        const record = toHeadersRecord(headers)
+        const buffer = await readResponseBody(body)
+        if (buffer === undefined) {
+            return { status, headers: record, body: null }
+        }
+        const contentType = Object.entries(record)
+            .find(([ name ]) => name.toLowerCase() === 'content-type')?.[1]
+        return isTextContentType(contentType)
+            ? { status, headers: record, body: buffer.toString('utf-8') }
+            : { status, headers: record, body: buffer.toString('base64'), encoding: 'base64' }
+    }
+    finally {
+        await result?.cleanup?.()
+    }
+}
+
+
+function batchErrorResponse(status, tag, headers) {
+    return response({
+        status,
+        headers: {
+            ...headers,
+            'Content-Type': 'application/json; charset=utf-8'
+        },
+        body: JSON.stringify({ tag })
+    })
+}
+
+
+// each call goes through its endpoint's handler as if it were a request of
+// its own, so is authenticated, rate limited and validated as usual
+function createBatchHandler(schema, handlers, { maximumCalls = 20 }) {
+    const batchable = new Set(
+        Object.keys(handlers).filter(name =>
+            isBatchableEndpoint(schema.endpoints[name])
+        )
+    )
+    return async (message, state, sockets) => {
+        if (message.method !== 'POST') {
+            return batchErrorResponse(405, 'WrongMethod', { Allow: 'POST' })
+        }
+        if (!isUTF8JSONContentTypeHeader(message.headers['Content-Type'])) {
+            return batchErrorResponse(415, 'InvalidContentTypeHeader')
+        }
+        const parseResult = await parseJSONStream(message, state.config?.json)
+        if (!parseResult.ok) {
+            return parseResult.value.tag === 'MaximumSizeExceeded'
+                ? batchErrorResponse(413, 'JSONMaximumSizeExceeded')
+                : batchErrorResponse(400, 'JSONStreamMalformed')
+        }
+        const validationResult = BatchedCalls.validate(parseResult.value)
+        if (!validationResult.success) {
+            return batchErrorResponse(400, 'BatchInvalid')
+        }
+        const calls = validationResult.value
+        if (calls.length > maximumCalls) {
+            return batchErrorResponse(413, 'BatchTooLarge')
+        }
+        // a handler throwing fails only its own call rather than the batch
+        const responses = await Promise.all(calls.map(call =>
+            batchable.has(call.endpoint)
+                ? callBatchedEndpoint(
+                    schema,
+                    handlers[call.endpoint],
+                    message,
+                    state,
+                    sockets,
+                    call
+                ).catch(() => ({ status: 500, headers: {}, body: null }))
+                : { status: 404, headers: {}, body: null }
+        ))
+        return response({
+            status: 200,
+            headers: { 'Content-Type': 'application/json; charset=utf-8' },
+            body: JSON.stringify(responses)
+        })
+    }
+}
+
+
 const regexEscapePattern = /[.*+?^${}()|[\]\\]/g
 
-export function createSchemaHandler(schema, handlers) {
+export function createSchemaHandler(
+    schema,
+    handlers,
+    {
+        responseValidation,
+        rateLimitStore,
+        instrumentation,
+        batch = false
+    } = {}
+) {
+    checkResponseValidation(responseValidation)
     const escaped = schema.prefix.replace(regexEscapePattern, '\\$&')
     const prefixPattern = new RegExp(`^${escaped}(.+)`)
+    const route = createRouter(Object.keys(handlers))
+    const batchHandler = batch === false
+        ? undefined
+        : createBatchHandler(schema, handlers, batch === true ? {} : batch)
     return (message, state, sockets) => {
         const path = state.url.pathname.match(prefixPattern)?.[1]
-        return handlers[path]?.(message, state, sockets) ?? response()
+        if (path === undefined) {
+            return response()
+        }
+        if (
+            responseValidation !== undefined
+            || rateLimitStore !== undefined
+            || instrumentation !== undefined
+        ) {
+            state = {
+                ...state,
+                config: {
+                    responseValidation,
+                    rateLimitStore,
+                    instrumentation,
+                    ...state.config
+                }
+            }
+        }
+        // takes priority over any endpoint of the same name
+        if (path === BATCH_PATH && batchHandler !== undefined) {
+            return batchHandler(message, state, sockets)
+        }
+        const name = route(path)
+        if (name === undefined) {
+            return response()
+        }
+        return handlers[name](message, state, sockets)
     }
 }
@@ -1,12 +1,26 @@
 import type { Result } from 'fallible'
-import type { Failure, Runtype } from 'runtypes'
+
+import type {
+    APIKeyAuthStrategy,
+    AuthStrategy,
+    BearerAuthStrategy,
+    CookieAuthStrategy,
+    Endpoint,
+    Message,
+    MessageData,
+    NormalisedMessage,
+    RPCCommunication,
+    Schema,
+    WebSocketCommunication
+} from './schema.js'
+import type { ValidationFailure, Validator } from './validator.js'
 
 
 export type WebSocketMessageError<Data> =
     | {
         tag: 'InvalidMessage'
         message: string
-        result: Failure
+        result: ValidationFailure
     }
     | {
         tag: 'NonJSONMessage'
@@ -16,9 +30,230 @@ export type WebSocketMessageError<Data> =
         tag: 'NonStringMessage'
         message: Data
     }
+    | {
+        tag: 'NonBinaryMessage'
+        message: string
+    }
+
+
+export type UnknownCallError = {
+    tag: 'UnknownCall'
+    name: string
+}
+export type InvalidCallInputError = {
+    tag: 'InvalidCallInput'
+    message: string
+    details?: unknown
+}
+/** The frame was not a call, such as when it isn't JSON. */
+export type MalformedCallError = {
+    tag: 'MalformedCall'
+}
+export type CallRateLimitedError = {
+    tag: 'CallRateLimited'
+    /** Milliseconds until the connection may make another call. */
+    retryAfter: number
+}
+export type CallFailedError<Error> = {
+    tag: 'CallFailed'
+    error: Error
+}
+/** The handler threw, or its output failed validation against the schema. */
+export type InternalCallError = {
+    tag: 'InternalCallError'
+}
+/** Errors the server replies to calls with. */
+export type RPCError<Error = unknown> =
+    | UnknownCallError
+    | InvalidCallInputError
+    | MalformedCallError
+    | CallRateLimitedError
+    | CallFailedError<Error>
+    | InternalCallError
+
+export type RPCCallFrame = {
+    type: 'call'
+    id: number
+    name: string
+    input?: unknown
+}
+export type RPCReplyFrame =
+    | { type: 'result', id: number, output: unknown }
+    | { type: 'error', id: number | null, error: RPCError }
+    | { type: 'notification', name: string, data: unknown }
+
+
+export declare const rpcCommunication: {
+    up: Validator<RPCCallFrame>
+    down: Validator<RPCReplyFrame>
+}
+
+export declare function isRPCCommunication(
+    communication: WebSocketCommunication | RPCCommunication
+): communication is RPCCommunication
 
+export declare function normaliseMessage<T extends Message>(message: T): NormalisedMessage<T>
 
-export declare function validateWebSocketMessage<Validated, Data>(
+export declare function validateWebSocketMessage<T extends Message, Data>(
     message: string | Data,
-    validator: Runtype<Validated>
-): Result<Validated, WebSocketMessageError<Data>>
+    definition: T
+): Result<MessageData<T, Data>, WebSocketMessageError<Data>>
+
+export declare function encodeWebSocketMessage<T extends Message, Data>(
+    message: MessageData<T, Data>,
+    definition: T
+): string | Data
+
+
+export type PathSegment =
+    | {
+        type: 'literal'
+        value: string
+    }
+    | {
+        type: 'param'
+        name: string
+    }
+
+export type PathMismatchError = {
+    tag: 'PathMismatch'
+}
+export type PathParamsMalformedError = {
+    tag: 'PathParamsMalformed'
+    param: string
+    value: string
+}
+export type MatchPathError = PathMismatchError | PathParamsMalformedError
+
+
+export declare function parsePath(path: string): PathSegment[]
+
+export declare function matchPath(
+    segments: ReadonlyArray<PathSegment>,
+    path: string
+): Result<Record<string, string>, MatchPathError>
+
+export declare function buildPath(
+    path: string,
+    params?: Record<string, string>
+): string
+
+export type URLQueryRequiredError = {
+    tag: 'URLQueryRequired'
+}
+export type URLQueryMalformedError = {
+    tag: 'URLQueryMalformed'
+    query: string
+}
+export type ParseQueryError = URLQueryRequiredError | URLQueryMalformedError
+
+export interface QuerySearchParams extends Iterable<[ string, string ]> {
+    get(key: string): string | null
+}
+
+/** Without the leading '?', or empty where there is nothing to send. */
+export declare function buildQuery(endpoint: Endpoint, input: unknown): string
+
+/** The input is still to be validated, but has been coerced from params. */
+export declare function parseQuery(
+    endpoint: Endpoint,
+    searchParams: QuerySearchParams
+): Result<unknown, ParseQueryError>
+
+/**
+ * Returns the name of the endpoint matching a path relative to the schema
+ * prefix. Literal segments take priority over params.
+ */
+export declare function createRouter(
+    names: Iterable<string>
+): (path: string) => string | undefined
+
+/** GET endpoints without WebSockets or event stream responses. */
+export declare function isBatchableEndpoint(endpoint: Endpoint): boolean
+
+/** A GET endpoint call sent as part of a batch. */
+export type BatchedCall = {
+    endpoint: string
+    params?: Record<string, string>
+    input?: unknown
+    /** Merged over the headers of the batch request itself. */
+    headers?: Record<string, string>
+}
+
+/** The response to each call, in the same order as the calls. */
+export type BatchedResponse = {
+    status: number
+    headers: Record<string, string>
+    body: string | null
+    /** Set when the body is not text, as it cannot be sent as JSON otherwise. */
+    encoding?: 'base64'
+}
+
+/**
+ * An RFC 9457 problem details body, as sent by `mapErrorToProblem`. The tag
+ * is that of the error it was mapped from.
+ */
+export type Problem = {
+    type: string
+    title: string
+    status: number
+    tag: string
+    /** The validation failure's message. */
+    detail?: string
+    code?: string
+    /** Per-field failures, keyed as in the input. */
+    details?: unknown
+    /** The method of a WrongMethod request. */
+    method?: string
+    /** As for `RateLimitedError`, with times in milliseconds. */
+    limit?: number
+    remaining?: number
+    reset?: number
+    retryAfter?: number
+}
+
+/**
+ * Picks the headers the validator declares, keyed as it declares them
+ * whatever case they were received in. Validators which don't declare their
+ * keys are given every received header.
+ */
+export declare function pickHeaders<T>(
+    validator: Validator,
+    getHeader: (name: string) => T | null | undefined,
+    receivedNames: Iterable<string>
+): Record<string, T>
+
+/** Parsed from a W3C traceparent header. */
+export type TraceContext = {
+    traceId: string
+    /** The caller's span. */
+    parentId: string
+    /** 1 where the caller sampled the trace. */
+    flags: number
+}
+
+export declare function parseTraceparent(
+    header: string | undefined
+): TraceContext | undefined
+
+/**
+ * Creates a new span in the parent's trace, or in a new sampled trace where
+ * there is no parent.
+ */
+export declare function createTraceparent(parent?: TraceContext): string
+
+/** Calls an instrumentation hook, ignoring anything it throws. */
+export declare function callHook<T>(
+    hook: ((event: T) => void) | undefined,
+    event: T
+): void
+
+export type ResolvedAuthStrategy =
+    | Required<CookieAuthStrategy>
+    | BearerAuthStrategy
+    | Required<APIKeyAuthStrategy>
+
+export declare function resolveAuthStrategy(
+    schema: Schema,
+    endpoint: Endpoint
+): ResolvedAuthStrategy
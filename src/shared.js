@@ -1,10 +1,45 @@
+import { error, ok } from 'fallible'
 import { parseJSONString } from 'fallible-server/utils'
+import {
+    Literal,
+    Null,
+    Number as Num,
+    Record as Rec,
+    String as Str,
+    Union,
+    Unknown
+} from 'runtypes'
 
+import {
+    API_KEY_HEADER,
+    AUTH_COOKIE_NAME,
+    CSRF_HEADER,
+    JSON_KEY
+} from './constants.js'
 
-export function validateWebSocketMessage(message, validator) {
+
+// a bare runtype is shorthand for a JSON message
+export function normaliseMessage(message) {
+    return typeof message.validate === 'function'
+        ? { type: 'json', data: message }
+        : message
+}
+
+
+function validateTextMessage(message, definition) {
     if (typeof message !== 'string') {
         return error({ tag: 'NonStringMessage', message })
     }
+    if (definition.type === 'text') {
+        if (definition.data === undefined) {
+            return ok(message)
+        }
+        const result = definition.data.validate(message)
+        if (!result.success) {
+            return error({ tag: 'InvalidMessage', message, result })
+        }
+        return ok(result.value)
+    }
     let json
     try {
         json = parseJSONString(message)
@@ -12,9 +47,572 @@ export function validateWebSocketMessage(message, validator) {
     catch {
         return error({ tag: 'NonJSONMessage', message })
     }
-    const result = validator.validate(json)
+    const result = definition.data.validate(json)
     if (!result.success) {
         return error({ tag: 'InvalidMessage', message, result })
     }
     return ok(result.value)
 }
+
+
+// text frames must be passed as strings and binary frames as anything else
+export function validateWebSocketMessage(message, definition) {
+    definition = normaliseMessage(definition)
+    switch (definition.type) {
+        case 'json':
+        case 'text':
+            return validateTextMessage(message, definition)
+        case 'binary':
+            if (typeof message === 'string') {
+                return error({ tag: 'NonBinaryMessage', message })
+            }
+            return ok(message)
+        case 'mixed': {
+            if (typeof message !== 'string') {
+                return ok({ type: 'binary', data: message })
+            }
+            const result = validateTextMessage(message, definition.text)
+            if (!result.ok) {
+                return result
+            }
+            return ok({ type: definition.text.type, data: result.value })
+        }
+        default:
+            throw new Error('Unexpected message type')
+    }
+}
+
+
+export function encodeWebSocketMessage(message, definition) {
+    switch (normaliseMessage(definition).type) {
+        case 'json':
+            return JSON.stringify(message)
+        case 'mixed':
+            return message.type === 'json'
+                ? JSON.stringify(message.data)
+                : message.data
+        default:
+            return message
+    }
+}
+
+
+const RPCCallFrame = Rec({
+    type: Literal('call'),
+    id: Num,
+    name: Str,
+    input: Unknown.optional()
+})
+
+
+const RPCReplyFrame = Union(
+    Rec({
+        type: Literal('result'),
+        id: Num,
+        output: Unknown
+    }),
+    Rec({
+        type: Literal('error'),
+        // null where the call was too malformed to read its ID
+        id: Num.Or(Null),
+        error: Rec({ tag: Str })
+    }),
+    Rec({
+        type: Literal('notification'),
+        name: Str,
+        data: Unknown
+    })
+)
+
+
+// RPC endpoints send JSON frames, which are validated first as frames and
+// then their contents against the runtypes of the call or notification
+export const rpcCommunication = {
+    up: RPCCallFrame,
+    down: RPCReplyFrame
+}
+
+
+export function isRPCCommunication(communication) {
+    return 'calls' in communication
+}
+
+
+export function parsePath(path) {
+    return path.split('/').map(segment =>
+        segment.startsWith(':')
+            ? { type: 'param', name: segment.slice(1) }
+            : { type: 'literal', value: segment }
+    )
+}
+
+
+export function matchPath(segments, path) {
+    const parts = path.split('/')
+    if (parts.length !== segments.length) {
+        return error({ tag: 'PathMismatch' })
+    }
+    const params = {}
+    for (const [ index, segment ] of segments.entries()) {
+        const part = parts[index]
+        if (segment.type === 'literal') {
+            if (part !== segment.value) {
+                return error({ tag: 'PathMismatch' })
+            }
+            continue
+        }
+        if (part === '') {
+            return error({ tag: 'PathMismatch' })
+        }
+        try {
+            params[segment.name] = decodeURIComponent(part)
+        }
+        catch {
+            return error({
+                tag: 'PathParamsMalformed',
+                param: segment.name,
+                value: part
+            })
+        }
+    }
+    return ok(params)
+}
+
+
+export function buildPath(path, params) {
+    return parsePath(path)
+        .map(segment => {
+            if (segment.type === 'literal') {
+                return segment.value
+            }
+            const value = params?.[segment.name]
+            if (value === undefined) {
+                throw new Error(`Missing path parameter '${segment.name}'`)
+            }
+            return encodeURIComponent(value)
+        })
+        .join('/')
+}
+
+
+// nested records are flattened into dotted keys and arrays into repeated
+// keys, so { page: 2, tags: [ 'a', 'b' ] } becomes page=2&tags=a&tags=b
+function appendQueryParams(params, key, value) {
+    if (value === undefined) {
+        return
+    }
+    if (Array.isArray(value)) {
+        for (const item of value) {
+            params.append(key, String(item))
+        }
+    }
+    else if (value !== null && typeof value === 'object') {
+        for (const [ field, fieldValue ] of Object.entries(value)) {
+            appendQueryParams(params, `${key}.${field}`, fieldValue)
+        }
+    }
+    else {
+        params.append(key, String(value))
+    }
+}
+
+
+export function buildQuery(endpoint, input) {
+    if (input === undefined) {
+        return ''
+    }
+    if (endpoint.query !== 'params') {
+        return `${JSON_KEY}=${encodeURIComponent(JSON.stringify(input))}`
+    }
+    const params = new URLSearchParams()
+    for (const [ key, value ] of Object.entries(input)) {
+        appendQueryParams(params, key, value)
+    }
+    return params.toString()
+}
+
+
+// dotted keys are split back into nested nodes, with every value kept as an
+// array of strings until the input runtype says what it should be. A key
+// used both for a value and for nested values is ambiguous
+function parseQueryParams(searchParams) {
+    const root = Object.create(null)
+    for (const [ key, value ] of searchParams) {
+        const parts = key.split('.')
+        const last = parts.pop()
+        let node = root
+        for (const part of parts) {
+            node[part] ??= Object.create(null)
+            node = node[part]
+            if (Array.isArray(node)) {
+                return undefined
+            }
+        }
+        node[last] ??= []
+        if (!Array.isArray(node[last])) {
+            return undefined
+        }
+        node[last].push(value)
+    }
+    return root
+}
+
+
+// adapted validators have no reflection, so are given query values as parsed
+// with no coercion
+function unwrapRuntype(runtype) {
+    let reflect = runtype.reflect ?? { tag: 'unknown' }
+    for (;;) {
+        switch (reflect.tag) {
+            case 'optional':
+            case 'constraint':
+                reflect = reflect.underlying.reflect
+                break
+            case 'brand':
+                reflect = reflect.entity.reflect
+                break
+            default:
+                return reflect
+        }
+    }
+}
+
+
+function toQueryValue(node) {
+    if (Array.isArray(node)) {
+        return node.length === 1 ? node[0] : node
+    }
+    return Object.fromEntries(
+        Object.entries(node).map(([ key, child ]) => [ key, toQueryValue(child) ])
+    )
+}
+
+
+// values which can't be coerced are left as strings for validation to reject
+function coerceQueryString(runtype, value) {
+    const reflect = unwrapRuntype(runtype)
+    switch (reflect.tag) {
+        case 'number': {
+            const number = Number(value)
+            return value.trim() === '' || Number.isNaN(number) ? value : number
+        }
+        case 'boolean':
+            if (value === 'true') {
+                return true
+            }
+            return value === 'false' ? false : value
+        case 'literal':
+            return String(reflect.value) === value ? reflect.value : value
+        case 'union':
+            for (const alternative of reflect.alternatives) {
+                const coerced = coerceQueryString(alternative, value)
+                if (alternative.guard(coerced)) {
+                    return coerced
+                }
+            }
+            return value
+        default:
+            return value
+    }
+}
+
+
+// empty arrays add no params, so are restored where the field is required
+function isRequiredArrayField(field, isPartial) {
+    return !isPartial
+        && field.reflect.tag !== 'optional'
+        && unwrapRuntype(field).tag === 'array'
+}
+
+
+function coerceQueryNode(runtype, node) {
+    const reflect = unwrapRuntype(runtype)
+    if (reflect.tag === 'union') {
+        for (const alternative of reflect.alternatives) {
+            const coerced = coerceQueryNode(alternative, node)
+            if (alternative.guard(coerced)) {
+                return coerced
+            }
+        }
+        return toQueryValue(node)
+    }
+    if (Array.isArray(node)) {
+        switch (reflect.tag) {
+            case 'array':
+                return node.map(value => coerceQueryString(reflect.element, value))
+            case 'tuple':
+                return node.map((value, index) =>
+                    index < reflect.components.length
+                        ? coerceQueryString(reflect.components[index], value)
+                        : value
+                )
+            default:
+                return node.length === 1
+                    ? coerceQueryString(runtype, node[0])
+                    : node
+        }
+    }
+    switch (reflect.tag) {
+        case 'record': {
+            const record = {}
+            for (const [ key, field ] of Object.entries(reflect.fields)) {
+                if (key in node) {
+                    record[key] = coerceQueryNode(field, node[key])
+                }
+                else if (isRequiredArrayField(field, reflect.isPartial)) {
+                    record[key] = []
+                }
+            }
+            return record
+        }
+        case 'dictionary':
+            return Object.fromEntries(
+                Object.entries(node).map(([ key, child ]) =>
+                    [ key, coerceQueryNode(reflect.value, child) ]
+                )
+            )
+        case 'intersect':
+            return Object.assign(
+                {},
+                ...reflect.intersectees.map(intersectee =>
+                    coerceQueryNode(intersectee, node)
+                )
+            )
+        default:
+            return toQueryValue(node)
+    }
+}
+
+
+// JSON input is left for the caller to validate as it is, while params are
+// first coerced into the types the input runtype expects
+export function parseQuery(endpoint, searchParams) {
+    if (endpoint.query === 'params') {
+        const node = parseQueryParams(searchParams)
+        if (node === undefined) {
+            return error({
+                tag: 'URLQueryMalformed',
+                query: String(searchParams)
+            })
+        }
+        return ok(coerceQueryNode(endpoint.input, node))
+    }
+    const json = searchParams.get(JSON_KEY)
+    if (json === null) {
+        return error({ tag: 'URLQueryRequired' })
+    }
+    try {
+        return ok(parseJSONString(json))
+    }
+    catch {
+        return error({ tag: 'URLQueryMalformed', query: json })
+    }
+}
+
+
+// typed, as the param branch is only created once a route needs it
+/**
+ * @typedef {{
+ *     literals: Map<string, RouterNode>
+ *     param: RouterNode | undefined
+ *     name: string | undefined
+ * }} RouterNode
+ */
+
+/** @returns {RouterNode} */
+function createRouterNode() {
+    return {
+        literals: new Map(),
+        param: undefined,
+        name: undefined
+    }
+}
+
+
+function matchRouterNode(node, parts, index) {
+    if (index === parts.length) {
+        return node.name
+    }
+    const part = parts[index]
+    const literal = node.literals.get(part)
+    if (literal !== undefined) {
+        const name = matchRouterNode(literal, parts, index + 1)
+        if (name !== undefined) {
+            return name
+        }
+    }
+    if (node.param !== undefined && part !== '') {
+        return matchRouterNode(node.param, parts, index + 1)
+    }
+    return undefined
+}
+
+
+// literal segments take priority over params, falling back to params where
+// the literal branch fails to match the remainder of the path
+export function createRouter(names) {
+    const root = createRouterNode()
+    for (const name of names) {
+        let node = root
+        for (const segment of parsePath(name)) {
+            if (segment.type === 'param') {
+                node.param ??= createRouterNode()
+                node = node.param
+            }
+            else {
+                let child = node.literals.get(segment.value)
+                if (child === undefined) {
+                    child = createRouterNode()
+                    node.literals.set(segment.value, child)
+                }
+                node = child
+            }
+        }
+        node.name = name
+    }
+    return path => matchRouterNode(root, path.split('/'), 0)
+}
+
+
+// event streams and WebSockets never finish, and only GET endpoints are safe
+// to call without the client seeing each request
+export function isBatchableEndpoint(endpoint) {
+    return (endpoint.method ?? 'GET') === 'GET'
+        && !('websocket' in endpoint)
+        && !Object.values(endpoint.responses).some(res => res.type === 'sse')
+}
+
+
+function collectRecordKeys(runtype, keys) {
+    const { reflect } = runtype
+    switch (reflect.tag) {
+        case 'record':
+            for (const key of Object.keys(reflect.fields)) {
+                keys.add(key)
+            }
+            break
+        case 'intersect':
+            for (const intersectee of reflect.intersectees) {
+                collectRecordKeys(intersectee, keys)
+            }
+            break
+        case 'union':
+            for (const alternative of reflect.alternatives) {
+                collectRecordKeys(alternative, keys)
+            }
+            break
+        case 'optional':
+        case 'constraint':
+            collectRecordKeys(reflect.underlying, keys)
+            break
+        case 'brand':
+            collectRecordKeys(reflect.entity, keys)
+            break
+    }
+    return keys
+}
+
+
+// adapted validators only declare their keys through JSON Schema, if at all
+function getDeclaredKeys(validator) {
+    if (validator.reflect !== undefined) {
+        return collectRecordKeys(validator, new Set())
+    }
+    const schema = validator.toJSONSchema?.()
+    return typeof schema?.properties === 'object'
+        ? Object.keys(schema.properties)
+        : undefined
+}
+
+
+// only the declared headers are picked, keyed by the names the schema gives
+// them whatever case they arrive in. validators which don't declare their
+// keys are given every received header instead
+export function pickHeaders(validator, getHeader, receivedNames) {
+    const headers = {}
+    for (const name of getDeclaredKeys(validator) ?? receivedNames) {
+        const value = getHeader(name)
+        if (value !== undefined && value !== null) {
+            headers[name] = value
+        }
+    }
+    return headers
+}
+
+
+const traceparentPattern = /^([\da-f]{2})-([\da-f]{32})-([\da-f]{16})-([\da-f]{2})$/
+const zeroIdPattern = /^0+$/
+
+
+// version ff and all-zero ids are invalid by the W3C trace context spec
+export function parseTraceparent(header) {
+    const match = header?.trim().match(traceparentPattern)
+    if (
+        match === undefined
+        || match === null
+        || match[1] === 'ff'
+        || zeroIdPattern.test(match[2])
+        || zeroIdPattern.test(match[3])
+    ) {
+        return undefined
+    }
+    return {
+        traceId: match[2],
+        parentId: match[3],
+        flags: parseInt(match[4], 16)
+    }
+}
+
+
+function randomHex(bytes) {
+    return Array.from(
+        crypto.getRandomValues(new Uint8Array(bytes)),
+        byte => byte.toString(16).padStart(2, '0')
+    ).join('')
+}
+
+
+// continues the parent's trace where there is one, otherwise starts a
+// sampled trace of its own
+export function createTraceparent(parent) {
+    const traceId = parent?.traceId ?? randomHex(16)
+    const flags = (parent?.flags ?? 1).toString(16).padStart(2, '0')
+    return `00-${traceId}-${randomHex(8)}-${flags}`
+}
+
+
+// hooks only observe, so one that throws mustn't break what it observes
+export function callHook(hook, event) {
+    try {
+        hook?.(event)
+    }
+    catch {
+        // there's nowhere better to report it
+    }
+}
+
+
+// the endpoint's strategy wins over the schema's, with today's cookie and
+// CSRF header pairing as the fallback
+export function resolveAuthStrategy(schema, endpoint) {
+    const strategy = endpoint.authStrategy
+        ?? schema.authStrategy
+        ?? { type: 'cookie' }
+    switch (strategy.type) {
+        case 'cookie':
+            return {
+                type: 'cookie',
+                cookie: strategy.cookie ?? AUTH_COOKIE_NAME,
+                csrfHeader: strategy.csrfHeader ?? CSRF_HEADER
+            }
+        case 'bearer':
+            return { type: 'bearer' }
+        case 'apiKey':
+            return {
+                type: 'apiKey',
+                header: strategy.header ?? API_KEY_HEADER
+            }
+        default:
+            throw new Error('Unexpected auth strategy type')
+    }
+}
@@ -0,0 +1,45 @@
+import type { IncomingMessage } from 'node:http'
+
+import type { MessageHandler, Response as FallibleResponse } from 'fallible-server'
+import type WebSocket from 'ws'
+
+import type { Transport } from './client.js'
+import type { EndpointHandlerPreState } from './server.js'
+
+
+export type TestTransportOptions = {
+    /** Resolves the relative URLs the client requests. Defaults to http://localhost. */
+    origin?: string
+    /** Merged over any cookies sent with each request. */
+    cookies?: Record<string, string>
+    config?: EndpointHandlerPreState['config']
+    /** Seen by handlers as the client's IP. Defaults to 127.0.0.1. */
+    remoteAddress?: string
+}
+
+export type TestTransport = Required<Transport> & {
+    /** Server-side sockets of open WebSocket connections, keyed by UUID. */
+    sockets: Map<string, WebSocket>
+}
+
+export type TestMessage = Pick<IncomingMessage, 'method' | 'url' | 'headers'>
+    & { socket: { remoteAddress: string } }
+    & NodeJS.ReadableStream
+
+
+export declare function createTestMessage(
+    request: Request,
+    options?: Pick<TestTransportOptions, 'cookies' | 'config' | 'remoteAddress'>
+): Promise<{
+    message: TestMessage
+    state: EndpointHandlerPreState & { url: URL }
+}>
+
+/**
+ * Outside a browser there is no `location` to default to, so WebSocket
+ * connections made through the transport must pass `host` and `tls`.
+ */
+export declare function createTestTransport(
+    handler: MessageHandler<EndpointHandlerPreState, FallibleResponse | undefined>,
+    options?: TestTransportOptions
+): TestTransport
@@ -0,0 +1,439 @@
+import { randomUUID } from 'node:crypto'
+import { EventEmitter } from 'node:events'
+import { Readable } from 'node:stream'
+
+
+// handlers look headers up by their canonical capitalisation, while fetch
+// lowercases them
+function createMessageHeaders(headers) {
+    const lowercased = Object.fromEntries(headers.entries())
+    return new Proxy(lowercased, {
+        get: (target, key) => Reflect.get(
+            target,
+            typeof key === 'string' ? key.toLowerCase() : key
+        ),
+        has: (target, key) => typeof key === 'string'
+            ? key.toLowerCase() in target
+            : key in target
+    })
+}
+
+
+function parseCookieHeader(header) {
+    const cookies = {}
+    if (header === null) {
+        return cookies
+    }
+    for (const pair of header.split(';')) {
+        const index = pair.indexOf('=')
+        if (index === -1) {
+            continue
+        }
+        const name = pair.slice(0, index).trim()
+        const value = pair.slice(index + 1).trim()
+        try {
+            cookies[name] = decodeURIComponent(value)
+        }
+        catch {
+            cookies[name] = value
+        }
+    }
+    return cookies
+}
+
+
+export async function createTestMessage(
+    request,
+    { cookies, config, remoteAddress = '127.0.0.1' } = {}
+) {
+    const body = request.body === null
+        ? Buffer.alloc(0)
+        : Buffer.from(await request.arrayBuffer())
+    const headers = new Headers(request.headers)
+    if (body.byteLength !== 0 && !headers.has('Content-Length')) {
+        headers.set('Content-Length', String(body.byteLength))
+    }
+    const message = Object.assign(
+        Readable.from(body.byteLength === 0 ? [] : [ body ]),
+        {
+            method: request.method,
+            url: request.url,
+            headers: createMessageHeaders(headers),
+            socket: { remoteAddress }
+        }
+    )
+    const state = {
+        url: new URL(request.url),
+        cookies: {
+            ...parseCookieHeader(headers.get('Cookie')),
+            ...cookies
+        },
+        config
+    }
+    return { message, state }
+}
+
+
+// finish runs once the stream has been read to its end, has failed or has
+// been cancelled
+function iterableToStream(iterable, finish) {
+    const iterator = iterable[Symbol.asyncIterator]?.()
+        ?? iterable[Symbol.iterator]()
+    let finished = false
+    const finishOnce = async () => {
+        if (!finished) {
+            finished = true
+            await finish()
+        }
+    }
+    return new ReadableStream({
+        pull: async controller => {
+            let next
+            try {
+                next = await iterator.next()
+            }
+            catch (exception) {
+                await finishOnce()
+                throw exception
+            }
+            if (next.done) {
+                controller.close()
+                await finishOnce()
+                return
+            }
+            controller.enqueue(
+                typeof next.value === 'string'
+                    ? Buffer.from(next.value)
+                    : next.value
+            )
+        },
+        cancel: async () => {
+            try {
+                await iterator.return?.()
+            }
+            finally {
+                await finishOnce()
+            }
+        }
+    })
+}
+
+
+// the handler is cleaned up straight away unless the body is streamed, in
+// which case that waits for the stream to finish
+async function toResponseBody(body, cleanup) {
+    if (body === undefined || typeof body === 'string' || body instanceof Uint8Array) {
+        await cleanup()
+        return body
+    }
+    try {
+        if (typeof body === 'function') {
+            body = body()
+        }
+        return iterableToStream(body, cleanup)
+    }
+    catch (exception) {
+        await cleanup()
+        throw exception
+    }
+}
+
+
+function toResponseHeaders(headers) {
+    const result = new Headers()
+    if (headers === undefined) {
+        return result
+    }
+    const entries = typeof headers.entries === 'function'
+        ? headers.entries()
+        : Object.entries(headers)
+    for (const [ name, value ] of entries) {
+        if (Array.isArray(value)) {
+            for (const item of value) {
+                result.append(name, String(item))
+            }
+        }
+        else {
+            result.set(name, String(value))
+        }
+    }
+    return result
+}
+
+
+// deliveries are deferred so neither side observes the other synchronously,
+// as with a real socket
+function defer(callback) {
+    setImmediate(callback)
+}
+
+
+function toBuffer(data) {
+    if (typeof data === 'string') {
+        return Buffer.from(data)
+    }
+    if (Buffer.isBuffer(data)) {
+        return data
+    }
+    if (ArrayBuffer.isView(data)) {
+        return Buffer.from(data.buffer, data.byteOffset, data.byteLength)
+    }
+    return Buffer.from(data)
+}
+
+
+function toArrayBuffer(buffer) {
+    return buffer.buffer.slice(
+        buffer.byteOffset,
+        buffer.byteOffset + buffer.byteLength
+    )
+}
+
+
+class TestServerSocket extends EventEmitter {
+    #client
+
+    constructor(client, protocol) {
+        super()
+        this.#client = client
+        this.protocol = protocol ?? ''
+        this.readyState = 1
+        this.binaryType = 'nodebuffer'
+        this.bufferedAmount = 0
+    }
+
+    send(data, options, callback) {
+        if (typeof options === 'function') {
+            callback = options
+        }
+        if (this.readyState !== 1) {
+            defer(() => callback?.(new Error('WebSocket is not open')))
+            return
+        }
+        const binary = typeof data !== 'string'
+        const payload = binary ? toArrayBuffer(toBuffer(data)) : data
+        defer(() => {
+            this.#client._receive(payload)
+            callback?.()
+        })
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.readyState !== 1) {
+            return
+        }
+        this.readyState = 2
+        defer(() => {
+            this._closed(code, reason)
+            this.#client._closed(code, reason)
+        })
+    }
+
+    terminate() {
+        this.close(1006)
+    }
+
+    ping() {}
+
+    pong() {}
+
+    _receive(data, isBinary) {
+        this.emit('message', data, isBinary)
+    }
+
+    _closed(code, reason) {
+        if (this.readyState === 3) {
+            return
+        }
+        this.readyState = 3
+        this.emit('close', code, Buffer.from(reason))
+    }
+}
+
+
+function createWebSocketClass(handler, options) {
+    return class TestWebSocket extends EventTarget {
+        static CONNECTING = 0
+        static OPEN = 1
+        static CLOSING = 2
+        static CLOSED = 3
+
+        #server
+        #closed = false
+
+        constructor(url, protocols) {
+            super()
+            this.url = url
+            this.readyState = 0
+            this.binaryType = 'blob'
+            this.bufferedAmount = 0
+            this.protocol = ''
+            this.#connect(
+                new URL(url.replace(/^ws/, 'http')),
+                typeof protocols === 'string' ? [ protocols ] : protocols
+            )
+        }
+
+        // runs unawaited from the constructor, so failures are reported as
+        // error and close events, as a real WebSocket would
+        async #connect(url, protocols) {
+            let result
+            try {
+                const headers = new Headers({
+                    Connection: 'Upgrade',
+                    Upgrade: 'websocket',
+                    'Sec-WebSocket-Version': '13',
+                    'Sec-WebSocket-Key': Buffer.from(randomUUID()).toString('base64').slice(0, 24)
+                })
+                if (protocols !== undefined && protocols.length !== 0) {
+                    headers.set('Sec-WebSocket-Protocol', protocols.join(', '))
+                }
+                const { message, state } = await createTestMessage(
+                    new Request(url, { headers }),
+                    options
+                )
+                result = await handler(message, state, options.sockets)
+                const response = result?.state
+                if (response === undefined || !('accept' in response) || this.readyState !== 0) {
+                    this.#fail()
+                    return
+                }
+                this.#server = new TestServerSocket(this, response.protocol)
+                const uuid = response.uuid ?? randomUUID()
+                options.sockets.set(uuid, this.#server)
+                this.#server.once('close', () => options.sockets.delete(uuid))
+                this.protocol = this.#server.protocol
+                this.readyState = 1
+                this.dispatchEvent(new Event('open'))
+                await response.callback(uuid, this.#server)
+            }
+            catch {
+                this.#fail()
+            }
+            finally {
+                try {
+                    await result?.cleanup?.()
+                }
+                catch {
+                    // nothing is left to report it to
+                }
+            }
+        }
+
+        #fail() {
+            if (this.#closed) {
+                return
+            }
+            this.#server?._closed(1006, '')
+            this.dispatchEvent(new Event('error'))
+            this._closed(1006, '')
+        }
+
+        send(data) {
+            if (this.readyState !== 1) {
+                throw new Error('WebSocket is not open')
+            }
+            const isBinary = typeof data !== 'string'
+            const server = this.#server
+            if (data instanceof Blob) {
+                data.arrayBuffer().then(buffer =>
+                    defer(() => server._receive(Buffer.from(buffer), true))
+                )
+                return
+            }
+            const buffer = toBuffer(data)
+            defer(() => server._receive(buffer, isBinary))
+        }
+
+        close(code = 1000, reason = '') {
+            if (this.readyState === 0) {
+                this._closed(code, reason)
+                return
+            }
+            if (this.readyState !== 1) {
+                return
+            }
+            this.readyState = 2
+            const server = this.#server
+            defer(() => {
+                server._closed(code, reason)
+                this._closed(code, reason)
+            })
+        }
+
+        _receive(data) {
+            if (this.readyState !== 1) {
+                return
+            }
+            if (typeof data !== 'string' && this.binaryType === 'blob') {
+                data = new Blob([ data ])
+            }
+            this.dispatchEvent(new MessageEvent('message', { data }))
+        }
+
+        _closed(code, reason) {
+            if (this.#closed) {
+                return
+            }
+            this.#closed = true
+            this.#server = undefined
+            this.readyState = 3
+            this.dispatchEvent(Object.assign(
+                new Event('close'),
+                { code, reason, wasClean: code === 1000 }
+            ))
+        }
+    }
+}
+
+
+const nullBodyStatuses = new Set([ 101, 204, 205, 304 ])
+
+
+export function createTestTransport(
+    handler,
+    {
+        origin = 'http://localhost',
+        cookies,
+        config,
+        remoteAddress
+    } = {}
+) {
+    const options = {
+        cookies,
+        config,
+        remoteAddress,
+        sockets: new Map()
+    }
+
+    const fetch = async (input, init) => {
+        const request = new Request(new URL(input, origin).href, init)
+        if (request.signal.aborted) {
+            throw new DOMException('The operation was aborted', 'AbortError')
+        }
+        const { message, state } = await createTestMessage(request, options)
+        const result = await handler(message, state, options.sockets)
+        const response = result?.state ?? {}
+        const status = response.status ?? 200
+        const cleanup = async () => {
+            await result?.cleanup?.()
+        }
+        let body = null
+        if (nullBodyStatuses.has(status)) {
+            await cleanup()
+        }
+        else {
+            body = await toResponseBody(response.body, cleanup)
+        }
+        return new Response(body, {
+            status,
+            headers: toResponseHeaders(response.headers)
+        })
+    }
+
+    return {
+        fetch,
+        WebSocket: createWebSocketClass(handler, options),
+        sockets: options.sockets
+    }
+}
@@ -0,0 +1,98 @@
+import type { Runtype, Static } from 'runtypes'
+
+import type { JSONSchema } from './openapi.js'
+
+
+export type ValidationFailure = {
+    success: false
+    message: string
+    code?: string
+    /** Messages keyed by property, nested for nested values. */
+    details?: unknown
+}
+
+export type ValidationResult<T> =
+    | { success: true, value: T }
+    | ValidationFailure
+
+/**
+ * Anything used to validate values in a schema. Runtypes already conform, so
+ * can be used as they are; other libraries are wrapped by an adapter.
+ */
+export interface Validator<T = unknown> {
+    validate(value: unknown): ValidationResult<T>
+    guard(value: unknown): value is T
+    /**
+     * Used for OpenAPI documents and schema comparison. Runtypes are
+     * converted from their reflection instead.
+     */
+    toJSONSchema?(): JSONSchema
+}
+
+export type Infer<T extends Validator> = T extends Runtype
+    ? Static<T>
+    : (T extends Validator<infer U> ? U : never)
+
+export type AdapterOptions<Schema> = {
+    toJSONSchema?: (schema: Schema) => JSONSchema
+}
+
+export type ValidationIssue = {
+    message: string
+    path?: ReadonlyArray<PropertyKey | { key: PropertyKey }>
+}
+
+export type ZodSchema<Output = unknown> = {
+    readonly _output: Output
+    safeParse(value: unknown):
+        | { success: true, data: Output }
+        | { success: false, error: { issues: ReadonlyArray<ValidationIssue> } }
+}
+
+type StandardResult<Output> =
+    | { readonly value: Output, readonly issues?: undefined }
+    | { readonly issues: ReadonlyArray<ValidationIssue> }
+
+/** As implemented by valibot, arktype and recent versions of zod. */
+export type StandardSchema<Output = unknown> = {
+    readonly '~standard': {
+        readonly validate: (value: unknown) =>
+            | StandardResult<Output>
+            | Promise<StandardResult<Output>>
+        readonly types?: { readonly input: unknown, readonly output: Output }
+    }
+}
+
+export type StandardSchemaOutput<T extends StandardSchema> =
+    NonNullable<T['~standard']['types']>['output']
+
+
+/** Builds a failure with runtypes style nested details from a list of issues. */
+export declare function createFailure(
+    issues: ReadonlyArray<ValidationIssue>
+): ValidationFailure
+
+export declare function createValidator<T>(
+    validate: (value: unknown) => ValidationResult<T>,
+    toJSONSchema?: () => JSONSchema
+): Validator<T>
+
+/** Transforms and defaults are applied, so the output type is inferred. */
+export declare function zodValidator<T extends ZodSchema>(
+    schema: T,
+    options?: AdapterOptions<T>
+): Validator<T['_output']>
+
+/**
+ * Schemas which validate asynchronously fail every value, with the code
+ * ASYNC_UNSUPPORTED.
+ */
+export declare function standardSchemaValidator<T extends StandardSchema>(
+    schema: T,
+    options?: AdapterOptions<T>
+): Validator<StandardSchemaOutput<T>>
+
+export declare function valibotValidator<T extends StandardSchema>(
+    schema: T,
+    options?: AdapterOptions<T>
+): Validator<StandardSchemaOutput<T>>
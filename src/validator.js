@@ -0,0 +1,102 @@
+// nested like runtypes failure details, so an issue at ['user', 'name']
+// becomes { user: { name: message } }
+function setDetail(details, path, message) {
+    if (path.length === 0) {
+        return
+    }
+    let node = details
+    for (const key of path.slice(0, -1)) {
+        if (typeof node[key] !== 'object' || node[key] === null) {
+            node[key] = {}
+        }
+        node = node[key]
+    }
+    node[path[path.length - 1]] ??= message
+}
+
+
+function getIssueKey(segment) {
+    return typeof segment === 'object' && segment !== null
+        ? segment.key
+        : segment
+}
+
+
+export function createFailure(issues) {
+    const details = {}
+    for (const { path = [], message } of issues) {
+        setDetail(details, path.map(getIssueKey), message)
+    }
+    const messages = issues.map(({ path = [], message }) =>
+        path.length === 0
+            ? message
+            : `${path.map(getIssueKey).join('.')}: ${message}`
+    )
+    const failure = {
+        success: false,
+        code: 'CONTENT_INCORRECT',
+        message: messages.join('; ') || 'Validation failed'
+    }
+    // issues with the value as a whole have nowhere to go in the details
+    if (Object.keys(details).length !== 0) {
+        failure.details = details
+    }
+    return failure
+}
+
+
+export function createValidator(validate, toJSONSchema) {
+    const validator = {
+        validate,
+        guard: value => validate(value).success
+    }
+    if (toJSONSchema !== undefined) {
+        validator.toJSONSchema = toJSONSchema
+    }
+    return validator
+}
+
+
+export function zodValidator(schema, { toJSONSchema } = {}) {
+    return createValidator(
+        value => {
+            const result = schema.safeParse(value)
+            return result.success
+                ? { success: true, value: result.data }
+                : createFailure(result.error.issues)
+        },
+        toJSONSchema && (() => toJSONSchema(schema))
+    )
+}
+
+
+const asyncValidationFailure = {
+    success: false,
+    code: 'ASYNC_UNSUPPORTED',
+    message: 'Asynchronous validation is not supported'
+}
+
+
+export function standardSchemaValidator(schema, { toJSONSchema } = {}) {
+    return createValidator(
+        value => {
+            const result = schema['~standard'].validate(value)
+            // values are validated synchronously, so async refinements
+            // can't be supported. failing rather than throwing keeps this to
+            // an ordinary invalid input or response
+            if (result instanceof Promise) {
+                result.catch(() => {})
+                return asyncValidationFailure
+            }
+            return result.issues === undefined
+                ? { success: true, value: result.value }
+                : createFailure(result.issues)
+        },
+        toJSONSchema && (() => toJSONSchema(schema))
+    )
+}
+
+
+export function valibotValidator(schema, options) {
+    return standardSchemaValidator(schema, options)
+}
@@ -0,0 +1,168 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+
+import * as R from 'runtypes'
+
+import { createBatchTransport, fetchEndpoint } from '../src/client.js'
+import { AUTH_COOKIE_NAME } from '../src/constants.js'
+import { createSchemaHandler } from '../src/server.js'
+import { createTestTransport } from '../src/testing.js'
+import { createTestEndpointHandler, jsonResponse } from './helpers.js'
+
+
+const schema = {
+    prefix: '/api/',
+    endpoints: {
+        'items/:id': {
+            responses: { 200: { type: 'json', data: R.String } }
+        },
+        private: {
+            auth: 'optional',
+            responses: { 200: { type: 'json', data: R.Boolean } }
+        },
+        add: {
+            method: 'POST',
+            input: R.String,
+            responses: { 200: { type: 'json', data: R.String } }
+        }
+    }
+}
+
+const handlers = {
+    'items/:id': createTestEndpointHandler(schema, 'items/:id', (_, result) =>
+        jsonResponse(200, `item ${result.value.params.id}`)
+    ),
+    private: createTestEndpointHandler(schema, 'private', (_, result) =>
+        jsonResponse(200, result.value.token !== undefined)
+    ),
+    add: createTestEndpointHandler(schema, 'add', (_, result) =>
+        jsonResponse(200, result.value.input)
+    )
+}
+
+
+// records each request actually sent, as the path and credentials mode
+function createTransport({ batch = true, maximumCalls } = {}) {
+    const transport = createTestTransport(
+        createSchemaHandler(schema, handlers, { batch }),
+        { cookies: { [AUTH_COOKIE_NAME]: 'secret' } }
+    )
+    const sent = []
+    const batchTransport = createBatchTransport(schema, {
+        maximumCalls,
+        transport: {
+            ...transport,
+            fetch: (input, init) => {
+                sent.push(`${init?.method ?? 'GET'} ${input} ${init?.credentials}`)
+                return transport.fetch(input, init)
+            }
+        }
+    })
+    return { transport: batchTransport, sent }
+}
+
+
+function getItem(transport, id, options) {
+    return fetchEndpoint(schema, 'items/:id', { transport, params: { id }, ...options })
+}
+
+
+function getData(result) {
+    assert.ok(result.ok)
+    return result.value.data
+}
+
+
+test('sends calls made together as one batch', async () => {
+    const { transport, sent } = createTransport()
+
+    const results = await Promise.all([
+        getItem(transport, 'a'),
+        getItem(transport, 'b'),
+        getItem(transport, 'c')
+    ])
+
+    assert.deepEqual(results.map(getData), [ 'item a', 'item b', 'item c' ])
+    assert.deepEqual(sent, [ 'POST /api/_batch omit' ])
+})
+
+
+test('splits batches beyond the maximum calls', async () => {
+    const { transport, sent } = createTransport({ maximumCalls: 2 })
+
+    const results = await Promise.all([
+        getItem(transport, 'a'),
+        getItem(transport, 'b'),
+        getItem(transport, 'c')
+    ])
+
+    assert.deepEqual(results.map(getData), [ 'item a', 'item b', 'item c' ])
+    assert.deepEqual(sent, [ 'POST /api/_batch omit', 'GET /api/items/c omit' ])
+})
+
+
+test('only batches calls sent with the same credentials', async () => {
+    const { transport, sent } = createTransport()
+
+    const results = await Promise.all([
+        getItem(transport, 'a'),
+        fetchEndpoint(schema, 'private', { transport }),
+        getItem(transport, 'b'),
+        fetchEndpoint(schema, 'private', { transport })
+    ])
+
+    assert.deepEqual(results.map(getData), [ 'item a', true, 'item b', true ])
+    assert.deepEqual(sent, [
+        'POST /api/_batch omit',
+        'POST /api/_batch same-origin'
+    ])
+})
+
+
+test('sends anything other than GET calls as it would have been', async () => {
+    const { transport, sent } = createTransport()
+
+    const results = await Promise.all([
+        fetchEndpoint(schema, 'add', { transport, input: 'x' }),
+        getItem(transport, 'a')
+    ])
+
+    assert.deepEqual(results.map(getData), [ 'x', 'item a' ])
+    assert.deepEqual(sent, [ 'POST /api/add omit', 'GET /api/items/a omit' ])
+})
+
+
+test('falls back to sending each call when the server does not batch', async () => {
+    const { transport, sent } = createTransport({ batch: false })
+
+    const results = await Promise.all([
+        getItem(transport, 'a'),
+        getItem(transport, 'b')
+    ])
+
+    assert.deepEqual(results.map(getData), [ 'item a', 'item b' ])
+    assert.deepEqual(sent, [
+        'POST /api/_batch omit',
+        'GET /api/items/a omit',
+        'GET /api/items/b omit'
+    ])
+})
+
+
+test('leaves calls aborted before sending out of the batch', async () => {
+    const { transport, sent } = createTransport()
+    const controller = new AbortController()
+
+    const pending = Promise.all([
+        getItem(transport, 'a', { signal: controller.signal }),
+        getItem(transport, 'b'),
+        getItem(transport, 'c')
+    ])
+    controller.abort()
+    const [ aborted, ...results ] = await pending
+
+    assert.equal(aborted.ok, false)
+    assert.equal(aborted.value.tag, 'Aborted')
+    assert.deepEqual(results.map(getData), [ 'item b', 'item c' ])
+    assert.deepEqual(sent, [ 'POST /api/_batch omit' ])
+})
@@ -0,0 +1,25 @@
+import { ok } from 'fallible'
+import { response } from 'fallible-server'
+
+import { createEndpointHandler } from '../src/server.js'
+
+
+// lets every request through to the body handler, which is given the result
+// of the endpoint's own checks
+export function createTestEndpointHandler(schema, endpointName, bodyHandler, options) {
+    return createEndpointHandler(schema, endpointName, {
+        sessionHandler: (_, state) => response(ok(state)),
+        bodyHandler,
+        ...options
+    })
+}
+
+
+export function jsonResponse(status, body) {
+    return response({ status, headers: new Map(), body })
+}
+
+
+export function delay(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds))
+}
@@ -0,0 +1,192 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+
+import * as R from 'runtypes'
+
+import { createQueryCache } from '../src/query.js'
+import { createSchemaHandler } from '../src/server.js'
+import { createTestTransport } from '../src/testing.js'
+import { createTestEndpointHandler, delay, jsonResponse } from './helpers.js'
+
+
+const schema = {
+    prefix: '/api/',
+    endpoints: {
+        items: {
+            input: R.Record({ list: R.String }),
+            responses: {
+                200: { type: 'json', data: R.Array(R.String) }
+            }
+        },
+        add: {
+            method: 'POST',
+            input: R.Record({ list: R.String, item: R.String }),
+            responses: {
+                200: { type: 'json', data: R.Null }
+            }
+        }
+    }
+}
+
+
+// requests to items can be held until released, to interleave them with
+// invalidations, and every request fails as if offline while unavailable
+function createServer() {
+    const server = {
+        lists: { a: [], b: [] },
+        requests: 0,
+        available: true,
+        held: undefined,
+        hold: () => {
+            let release
+            server.held = new Promise(resolve => {
+                release = resolve
+            })
+            return () => {
+                server.held = undefined
+                release()
+            }
+        }
+    }
+    const handlers = {
+        items: createTestEndpointHandler(schema, 'items', async (_, result) => {
+            server.requests++
+            const items = [ ...server.lists[result.value.input.list] ]
+            await server.held
+            return jsonResponse(200, items)
+        }),
+        add: createTestEndpointHandler(schema, 'add', (_, result) => {
+            const { list, item } = result.value.input
+            server.lists[list].push(item)
+            return jsonResponse(200, null)
+        })
+    }
+    const transport = createTestTransport(createSchemaHandler(schema, handlers))
+    server.transport = {
+        ...transport,
+        fetch: (input, init) => server.available
+            ? transport.fetch(input, init)
+            : Promise.reject(new TypeError('fetch failed'))
+    }
+    return server
+}
+
+
+const listA = { input: { list: 'a' } }
+const listB = { input: { list: 'b' } }
+
+
+function getData(result) {
+    assert.ok(result.ok)
+    return result.value.data
+}
+
+
+test('shares one request between concurrent queries', async () => {
+    const server = createServer()
+    const cache = createQueryCache(schema, { transport: server.transport, staleTime: 10_000 })
+
+    const [ first, second ] = await Promise.all([
+        cache.query('items', listA),
+        cache.query('items', listA)
+    ])
+
+    assert.equal(first, second)
+    assert.equal(server.requests, 1)
+})
+
+
+test('serves stale results while revalidating them', async t => {
+    t.mock.timers.enable({ apis: [ 'Date' ], now: 0 })
+    const server = createServer()
+    const cache = createQueryCache(schema, { transport: server.transport, staleTime: 1000 })
+
+    await cache.query('items', listA)
+    server.lists.a.push('x')
+    assert.deepEqual(getData(await cache.query('items', listA)), [])
+    assert.equal(server.requests, 1)
+
+    t.mock.timers.tick(1000)
+    assert.deepEqual(getData(await cache.query('items', listA)), [])
+    await delay(10)
+    assert.equal(server.requests, 2)
+    assert.deepEqual(getData(cache.peek('items', listA)), [ 'x' ])
+})
+
+
+test('never serves errors stale', async () => {
+    const server = createServer()
+    const cache = createQueryCache(schema, { transport: server.transport, staleTime: 10_000 })
+
+    server.available = false
+    assert.equal((await cache.query('items', listA)).ok, false)
+    server.available = true
+    assert.deepEqual(getData(await cache.query('items', listA)), [])
+    assert.equal(server.requests, 1)
+})
+
+
+test('treats a result fetched before an invalidation as stale', async () => {
+    const server = createServer()
+    const cache = createQueryCache(schema, { transport: server.transport, staleTime: 10_000 })
+
+    const release = server.hold()
+    const pending = cache.query('items', listA)
+    await delay(10)
+    server.lists.a.push('x')
+    cache.invalidate('items', listA)
+    release()
+    assert.deepEqual(getData(await pending), [])
+
+    // served while it is revalidated, as any stale result is
+    assert.deepEqual(getData(await cache.query('items', listA)), [])
+    await delay(10)
+    assert.equal(server.requests, 2)
+    assert.deepEqual(getData(cache.peek('items', listA)), [ 'x' ])
+})
+
+
+test('refetches for subscribers on invalidation, again if invalidated meanwhile', async () => {
+    const server = createServer()
+    const cache = createQueryCache(schema, { transport: server.transport, staleTime: 10_000 })
+    const seen = []
+    cache.subscribe('items', result => seen.push(getData(result)), listA)
+
+    const release = server.hold()
+    cache.invalidate('items')
+    await delay(10)
+    server.lists.a.push('x')
+    cache.invalidate('items')
+    release()
+    await delay(20)
+
+    assert.deepEqual(seen, [ [], [ 'x' ] ])
+    assert.equal(server.requests, 2)
+})
+
+
+test('invalidates only the entries a successful mutation names', async () => {
+    const server = createServer()
+    const cache = createQueryCache(schema, { transport: server.transport, staleTime: 10_000 })
+    const seen = { a: [], b: [] }
+    cache.subscribe('items', result => seen.a.push(getData(result)), listA)
+    cache.subscribe('items', result => seen.b.push(getData(result)), listB)
+
+    const added = await cache.mutate('add', {
+        input: { list: 'a', item: 'x' },
+        invalidates: [ [ 'items', listA ] ]
+    })
+    assert.ok(added.ok)
+    await delay(10)
+    assert.deepEqual(seen, { a: [ [ 'x' ] ], b: [] })
+
+    server.available = false
+    const failed = await cache.mutate('add', {
+        input: { list: 'b', item: 'y' },
+        invalidates: [ 'items' ]
+    })
+    assert.equal(failed.ok, false)
+    await delay(10)
+    assert.deepEqual(seen, { a: [ [ 'x' ] ], b: [] })
+    assert.equal(server.requests, 1)
+})
@@ -0,0 +1,147 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+
+import * as R from 'runtypes'
+
+import { createSchemaHandler } from '../src/server.js'
+import { createTestTransport } from '../src/testing.js'
+import { createTestEndpointHandler, jsonResponse } from './helpers.js'
+
+
+const errorResponses = {
+    401: { type: 'json', data: R.String },
+    405: { type: 'json', data: R.String },
+    429: { type: 'json', data: R.String }
+}
+
+const schema = {
+    prefix: '/api/',
+    authStrategy: { type: 'bearer' },
+    endpoints: {
+        ip: {
+            rateLimit: { limit: 2, window: 1000 },
+            responses: { 200: { type: 'json', data: R.String }, ...errorResponses }
+        },
+        token: {
+            auth: 'required',
+            rateLimit: { limit: 1, window: 1000, key: 'token' },
+            responses: { 200: { type: 'json', data: R.String }, ...errorResponses }
+        },
+        custom: {
+            rateLimit: {
+                limit: 1,
+                window: 1000,
+                key: ({ headers }) => headers['X-Client']
+            },
+            responses: { 200: { type: 'json', data: R.String }, ...errorResponses }
+        }
+    }
+}
+
+const errorStatuses = {
+    AuthRequired: 401,
+    WrongMethod: 405,
+    RateLimited: 429
+}
+
+
+function createHandlers() {
+    const handlers = {}
+    for (const name of Object.keys(schema.endpoints)) {
+        handlers[name] = createTestEndpointHandler(schema, name, (_, result) =>
+            result.ok
+                ? jsonResponse(200, 'ok')
+                : jsonResponse(errorStatuses[result.value.tag], result.value.tag)
+        )
+    }
+    return handlers
+}
+
+
+function createTransport(options) {
+    return createTestTransport(
+        createSchemaHandler(schema, createHandlers()),
+        options
+    )
+}
+
+
+async function getStatuses(transport, path, init, count) {
+    const statuses = []
+    for (let index = 0; index < count; index++) {
+        const response = await transport.fetch(path, init)
+        statuses.push(response.status)
+    }
+    return statuses
+}
+
+
+test('allows a burst up to the limit, then refills over the window', async t => {
+    t.mock.timers.enable({ apis: [ 'Date' ], now: 0 })
+    const transport = createTransport()
+
+    assert.deepEqual(await getStatuses(transport, '/api/ip', undefined, 3), [ 200, 200, 429 ])
+
+    const response = await transport.fetch('/api/ip')
+    assert.equal(response.headers.get('RateLimit-Remaining'), '0')
+    assert.equal(response.headers.get('Retry-After'), '1')
+
+    // half the window refills one of the two tokens
+    t.mock.timers.tick(500)
+    assert.deepEqual(await getStatuses(transport, '/api/ip', undefined, 2), [ 200, 429 ])
+    t.mock.timers.tick(1000)
+    assert.deepEqual(await getStatuses(transport, '/api/ip', undefined, 3), [ 200, 200, 429 ])
+})
+
+
+test('counts requests which go on to fail other checks', async t => {
+    t.mock.timers.enable({ apis: [ 'Date' ], now: 0 })
+    const transport = createTransport()
+
+    const statuses = await getStatuses(transport, '/api/ip', { method: 'POST' }, 3)
+    assert.deepEqual(statuses, [ 405, 405, 429 ])
+    assert.deepEqual(await getStatuses(transport, '/api/ip', undefined, 1), [ 429 ])
+})
+
+
+test('counts clients by IP separately', async t => {
+    t.mock.timers.enable({ apis: [ 'Date' ], now: 0 })
+    const handler = createSchemaHandler(schema, createHandlers())
+    const first = createTestTransport(handler, { remoteAddress: '10.0.0.1' })
+    const second = createTestTransport(handler, { remoteAddress: '10.0.0.2' })
+
+    assert.deepEqual(await getStatuses(first, '/api/ip', undefined, 3), [ 200, 200, 429 ])
+    assert.deepEqual(await getStatuses(second, '/api/ip', undefined, 1), [ 200 ])
+})
+
+
+test('counts by token only once authenticated', async t => {
+    t.mock.timers.enable({ apis: [ 'Date' ], now: 0 })
+    const transport = createTransport()
+    const as = token => ({ headers: { Authorization: `Bearer ${token}` } })
+
+    assert.deepEqual(await getStatuses(transport, '/api/token', undefined, 2), [ 401, 401 ])
+    assert.deepEqual(await getStatuses(transport, '/api/token', as('a'), 2), [ 200, 429 ])
+    assert.deepEqual(await getStatuses(transport, '/api/token', as('b'), 1), [ 200 ])
+})
+
+
+test('counts by a custom key, falling back to IP', async t => {
+    t.mock.timers.enable({ apis: [ 'Date' ], now: 0 })
+    const transport = createTransport()
+    const as = client => ({ headers: { 'X-Client': client } })
+
+    assert.deepEqual(await getStatuses(transport, '/api/custom', as('a'), 2), [ 200, 429 ])
+    assert.deepEqual(await getStatuses(transport, '/api/custom', as('b'), 1), [ 200 ])
+    assert.deepEqual(await getStatuses(transport, '/api/custom', undefined, 2), [ 200, 429 ])
+})
+
+
+test('keeps separate buckets for separate handlers by default', async t => {
+    t.mock.timers.enable({ apis: [ 'Date' ], now: 0 })
+    const first = createTransport()
+    const second = createTransport()
+
+    assert.deepEqual(await getStatuses(first, '/api/ip', undefined, 3), [ 200, 200, 429 ])
+    assert.deepEqual(await getStatuses(second, '/api/ip', undefined, 1), [ 200 ])
+})
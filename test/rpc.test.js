@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+
+import * as R from 'runtypes'
+import { ok, error } from 'fallible'
+import { response } from 'fallible-server'
+
+import { createClient } from '../src/client.js'
+import { createSchemaHandler } from '../src/server.js'
+import { createTestTransport } from '../src/testing.js'
+import { createTestEndpointHandler, delay } from './helpers.js'
+
+
+const schema = {
+    prefix: '/api/',
+    endpoints: {
+        rpc: {
+            websocket: {
+                calls: {
+                    wait: { input: R.Number, output: R.Number },
+                    divide: {
+                        input: R.Record({ a: R.Number, b: R.Number }),
+                        output: R.Number,
+                        error: R.Record({ tag: R.Literal('DivisionByZero') })
+                    },
+                    throws: { output: R.Null },
+                    forgets: { output: R.Null }
+                },
+                notifications: { progress: R.Number }
+            },
+            responses: {}
+        }
+    }
+}
+
+
+// wait replies after the given milliseconds, so calls can be made to
+// complete in a different order to that they were made in
+function createServer() {
+    const server = { sockets: [] }
+    const handler = createTestEndpointHandler(schema, 'rpc', () => response({
+        accept: 'rpc',
+        callback: (_, socket) => {
+            server.sockets.push(socket)
+            socket.handle({
+                wait: async milliseconds => {
+                    await delay(milliseconds)
+                    socket.notify('progress', milliseconds)
+                    return ok(milliseconds)
+                },
+                divide: ({ a, b }) => b === 0
+                    ? error({ tag: 'DivisionByZero' })
+                    : ok(a / b),
+                throws: () => {
+                    throw new Error('Handler failed')
+                },
+                forgets: () => undefined
+            })
+        }
+    }))
+    server.transport = createTestTransport(
+        createSchemaHandler(schema, { rpc: handler })
+    )
+    return server
+}
+
+
+async function connect() {
+    const server = createServer()
+    const client = createClient(schema, {
+        transport: server.transport,
+        host: 'localhost',
+        tls: false
+    })
+    const result = await client.rpc.connect()
+    assert.ok(result.ok)
+    return { server, socket: result.value }
+}
+
+
+test('matches each reply to its call, whatever order they arrive in', async () => {
+    const { socket } = await connect()
+
+    const results = await Promise.all([
+        socket.call('wait', 30),
+        socket.call('wait', 10),
+        socket.call('wait', 20)
+    ])
+
+    assert.deepEqual(results, [ ok(30), ok(10), ok(20) ])
+    socket.close()
+})
+
+
+test('delivers notifications apart from replies', async () => {
+    const { socket } = await connect()
+    const notified = []
+    socket.addNotificationListener('progress', result => notified.push(result))
+
+    assert.deepEqual(await socket.call('wait', 10), ok(10))
+    await delay(10)
+
+    assert.deepEqual(notified, [ ok(10) ])
+    socket.close()
+})
+
+
+test('fails calls with their declared error', async () => {
+    const { socket } = await connect()
+
+    assert.deepEqual(await socket.call('divide', { a: 1, b: 2 }), ok(0.5))
+    assert.deepEqual(
+        await socket.call('divide', { a: 1, b: 0 }),
+        error({ tag: 'CallFailed', error: { tag: 'DivisionByZero' } })
+    )
+    socket.close()
+})
+
+
+test('fails calls whose handler throws or returns no result', async () => {
+    const { socket } = await connect()
+
+    assert.deepEqual(await socket.call('throws'), error({ tag: 'InternalCallError' }))
+    assert.deepEqual(await socket.call('forgets'), error({ tag: 'InternalCallError' }))
+    // the connection survives either
+    assert.deepEqual(await socket.call('wait', 0), ok(0))
+    socket.close()
+})
+
+
+test('ignores replies to calls which already timed out', async () => {
+    const { socket } = await connect()
+
+    const timedOut = await socket.call('wait', 30, { timeout: 10 })
+    assert.deepEqual(timedOut, error({ tag: 'Timeout' }))
+    const results = await Promise.all([
+        socket.call('wait', 30),
+        delay(25).then(() => socket.call('wait', 0))
+    ])
+
+    assert.deepEqual(results, [ ok(30), ok(0) ])
+    socket.close()
+})
+
+
+test('fails pending calls once the connection closes', async () => {
+    const { server, socket } = await connect()
+
+    const pending = socket.call('wait', 50)
+    await delay(10)
+    server.sockets[0].close(1001)
+
+    assert.deepEqual(await pending, error({ tag: 'ConnectionClosed' }))
+})
@@ -0,0 +1,155 @@
+import assert from 'node:assert/strict'
+import { once } from 'node:events'
+import { test } from 'node:test'
+
+import * as R from 'runtypes'
+import { response } from 'fallible-server'
+
+import { createClient } from '../src/client.js'
+import { createSchemaHandler } from '../src/server.js'
+import { createTestTransport } from '../src/testing.js'
+import { createTestEndpointHandler, jsonResponse } from './helpers.js'
+
+
+const schema = {
+    prefix: '/api/',
+    endpoints: {
+        socket: {
+            websocket: { up: R.String, down: R.String },
+            responses: {
+                503: { type: 'json', data: R.Unknown }
+            }
+        }
+    }
+}
+
+const reconnect = { baseDelay: 10, factor: 2, jitter: false }
+
+
+// upgrades are refused while accepting is false, and the server's side of
+// each accepted connection is kept to close it from
+function createServer() {
+    const server = { accepting: true, sockets: [], received: [] }
+    const handler = createTestEndpointHandler(schema, 'socket', () => {
+        if (!server.accepting) {
+            return jsonResponse(503, null)
+        }
+        return response({
+            accept: 'socket',
+            callback: (_, socket) => {
+                server.sockets.push(socket)
+                socket.on('validated-message', result => {
+                    server.received.push(result.value)
+                })
+            }
+        })
+    })
+    server.transport = createTestTransport(
+        createSchemaHandler(schema, { socket: handler })
+    )
+    return server
+}
+
+
+function recordReconnects(socket) {
+    const delays = []
+    socket.addEventListener('reconnecting', event => delays.push(event.delay))
+    return delays
+}
+
+
+async function connect(transport) {
+    const client = createClient(schema, { transport, host: 'localhost', tls: false })
+    const result = await client.socket.connect({ reconnect: { ...reconnect, count: 3 } })
+    assert.ok(result.ok)
+    return result.value
+}
+
+
+test('reconnects after the connection drops, sending what was queued meanwhile', async () => {
+    const server = createServer()
+    const socket = await connect(server.transport)
+    const delays = recordReconnects(socket)
+
+    server.sockets[0].close(1001)
+    await once(socket, 'reconnecting')
+    assert.equal(socket.connectionState, 'reconnecting')
+    socket.send('queued')
+    await once(socket, 'open')
+
+    assert.deepEqual(delays, [ 10 ])
+    assert.equal(server.sockets.length, 2)
+    await once(server.sockets[1], 'validated-message')
+    assert.deepEqual(server.received, [ 'queued' ])
+    socket.close()
+})
+
+
+test('backs off between failed attempts and gives up after the last', async () => {
+    const server = createServer()
+    const socket = await connect(server.transport)
+    const delays = recordReconnects(socket)
+
+    server.accepting = false
+    server.sockets[0].close(1001)
+    await once(socket, 'closed')
+
+    assert.deepEqual(delays, [ 10, 20, 40 ])
+    assert.equal(socket.connectionState, 'closed')
+})
+
+
+test('resets the backoff once reconnected', async () => {
+    const server = createServer()
+    const socket = await connect(server.transport)
+    const delays = recordReconnects(socket)
+
+    server.accepting = false
+    server.sockets[0].close(1001)
+    await once(socket, 'reconnecting')
+    server.accepting = true
+    await once(socket, 'open')
+    server.sockets[1].close(1001)
+    await once(socket, 'open')
+
+    assert.deepEqual(delays, [ 10, 10 ])
+    socket.close()
+})
+
+
+test('counts a socket that cannot be created as a failed attempt', async () => {
+    const server = createServer()
+    let failing = false
+    const transport = {
+        ...server.transport,
+        WebSocket: class extends server.transport.WebSocket {
+            constructor(url, protocols) {
+                if (failing) {
+                    throw new SyntaxError('Invalid URL')
+                }
+                super(url, protocols)
+            }
+        }
+    }
+    const socket = await connect(transport)
+    const delays = recordReconnects(socket)
+
+    failing = true
+    server.sockets[0].close(1001)
+    await once(socket, 'closed')
+
+    assert.deepEqual(delays, [ 10, 20, 40 ])
+})
+
+
+test('does not reconnect once closed by the client', async () => {
+    const server = createServer()
+    const socket = await connect(server.transport)
+    const delays = recordReconnects(socket)
+
+    socket.close()
+    await once(socket, 'closed')
+
+    assert.deepEqual(delays, [])
+    assert.equal(server.sockets.length, 1)
+})